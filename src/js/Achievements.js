@@ -0,0 +1,81 @@
+/**
+ * Achievements - Milestones unlocked by logging streaks and days on goal
+ * Stored in LocalStorage under nutriplan_achievements as { unlocked: { id: ISO date } }.
+ * Once unlocked an achievement stays unlocked, even if the entries behind it are deleted,
+ * so it is only announced once.
+ */
+export class Achievements {
+    constructor() {
+        this.storageKey = 'nutriplan_achievements';
+        // Each test gets the result of FoodLogStats.getStreaks
+        this.list = [
+            { id: 'first-log', label: 'First Bite', description: 'Log your first food', icon: 'fa-seedling', test: s => s.daysLogged >= 1 },
+            { id: 'log-streak-3', label: 'Getting Started', description: 'Log food 3 days in a row', icon: 'fa-fire', test: s => s.logging.best >= 3 },
+            { id: 'log-streak-7', label: 'Week Warrior', description: 'Log food 7 days in a row', icon: 'fa-fire-flame-curved', test: s => s.logging.best >= 7 },
+            { id: 'log-streak-30', label: 'Habit Formed', description: 'Log food 30 days in a row', icon: 'fa-calendar-check', test: s => s.logging.best >= 30 },
+            { id: 'goal-streak-3', label: 'On Target', description: 'Hit your calorie goal 3 days in a row', icon: 'fa-bullseye', test: s => s.onGoal.best >= 3 },
+            { id: 'goal-week', label: 'Perfect Week', description: 'Hit your calorie goal 7 days in a row', icon: 'fa-trophy', test: s => s.onGoal.best >= 7 },
+            { id: 'days-100', label: 'Centurion', description: 'Log food on 100 days', icon: 'fa-medal', test: s => s.daysLogged >= 100 }
+        ];
+        // Called when another tab unlocks an achievement
+        this.onChange = null;
+    }
+
+    /**
+     * Read unlocked achievements
+     * @returns {object} Unlock dates keyed by achievement id
+     */
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return data.unlocked && typeof data.unlocked === 'object' ? data.unlocked : {};
+        } catch (error) {
+            console.error('Error reading achievements:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save unlocked achievements
+     * @param {object} unlocked - Unlock dates keyed by achievement id
+     */
+    save(unlocked) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ unlocked }));
+        } catch (error) {
+            console.error('Error saving achievements:', error);
+        }
+    }
+
+    /**
+     * Every achievement with its unlock date, or null while locked
+     */
+    getAll() {
+        const unlocked = this.load();
+        return this.list.map(({ test, ...a }) => ({ ...a, unlockedAt: unlocked[a.id] || null }));
+    }
+
+    /**
+     * Unlock the achievements that streaks now earn
+     * @param {object} streaks - From FoodLogStats.getStreaks
+     * @returns {array} Achievements unlocked by this check
+     */
+    check(streaks) {
+        const unlocked = this.load();
+        const earned = this.list.filter(a => !unlocked[a.id] && a.test(streaks));
+        if (earned.length === 0) return [];
+        const now = new Date().toISOString();
+        earned.forEach(a => { unlocked[a.id] = now; });
+        this.save(unlocked);
+        return earned.map(({ test, ...a }) => ({ ...a, unlockedAt: now }));
+    }
+
+    /**
+     * Call onChange when another tab saves
+     */
+    listenForChanges() {
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey && this.onChange) this.onChange();
+        });
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * ExerciseLog - Logged workouts and the calories they burn
+ * Burn is MET x body weight (kg) x hours, using the profile weight at the time of
+ * logging; the result is stored so later weight changes don't rewrite history.
+ * Stored in LocalStorage under nutriplan_exercise as { entries: [...] }; entries are
+ * grouped into days by timestamp with FoodLog's day boundaries.
+ */
+export class ExerciseLog {
+    constructor(foodLog, profile) {
+        this.foodLog = foodLog;
+        this.profile = profile;
+        this.storageKey = 'nutriplan_exercise';
+        // Used when the profile has no weight yet
+        this.defaultWeightKg = 70;
+        // Walking burn per step per kg of body weight (about 0.04 kcal a step at 80 kg)
+        this.kcalPerStepPerKg = 0.0005;
+        this.categories = [
+            { id: 'cardio', label: 'Cardio' },
+            { id: 'strength', label: 'Strength' },
+            { id: 'sports', label: 'Sports' },
+            { id: 'mind-body', label: 'Mind & body' }
+        ];
+        // MET values from the Compendium of Physical Activities
+        this.activities = [
+            { id: 'walking', label: 'Walking (5 km/h)', category: 'cardio', met: 3.5 },
+            { id: 'walking-brisk', label: 'Walking, brisk (6.4 km/h)', category: 'cardio', met: 5.0 },
+            { id: 'hiking', label: 'Hiking', category: 'cardio', met: 6.0 },
+            { id: 'running', label: 'Running (9.7 km/h)', category: 'cardio', met: 9.8 },
+            { id: 'running-fast', label: 'Running, fast (12.9 km/h)', category: 'cardio', met: 11.8 },
+            { id: 'cycling', label: 'Cycling, leisure (<16 km/h)', category: 'cardio', met: 4.0 },
+            { id: 'cycling-moderate', label: 'Cycling, moderate (19-22 km/h)', category: 'cardio', met: 8.0 },
+            { id: 'swimming', label: 'Swimming, moderate', category: 'cardio', met: 5.8 },
+            { id: 'swimming-vigorous', label: 'Swimming, vigorous', category: 'cardio', met: 9.8 },
+            { id: 'elliptical', label: 'Elliptical trainer', category: 'cardio', met: 5.0 },
+            { id: 'rowing', label: 'Rowing machine, moderate', category: 'cardio', met: 7.0 },
+            { id: 'stair-climber', label: 'Stair climber', category: 'cardio', met: 9.0 },
+            { id: 'jump-rope', label: 'Jump rope', category: 'cardio', met: 11.8 },
+            { id: 'dancing', label: 'Dancing, aerobic', category: 'cardio', met: 7.3 },
+            { id: 'weights', label: 'Weight training, general', category: 'strength', met: 3.5 },
+            { id: 'weights-vigorous', label: 'Weight training, vigorous', category: 'strength', met: 6.0 },
+            { id: 'circuit', label: 'Circuit training / HIIT', category: 'strength', met: 8.0 },
+            { id: 'calisthenics', label: 'Calisthenics (push-ups, sit-ups)', category: 'strength', met: 3.8 },
+            { id: 'tennis', label: 'Tennis, singles', category: 'sports', met: 8.0 },
+            { id: 'basketball', label: 'Basketball, game', category: 'sports', met: 8.0 },
+            { id: 'soccer', label: 'Soccer, casual', category: 'sports', met: 7.0 },
+            { id: 'badminton', label: 'Badminton, social', category: 'sports', met: 5.5 },
+            { id: 'yoga', label: 'Yoga, hatha', category: 'mind-body', met: 2.5 },
+            { id: 'pilates', label: 'Pilates', category: 'mind-body', met: 3.0 },
+            { id: 'stretching', label: 'Stretching', category: 'mind-body', met: 2.3 }
+        ];
+        // Called when another tab changes the exercise log
+        this.onChange = null;
+    }
+
+    /**
+     * Read the stored exercise log
+     */
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return { entries: Array.isArray(data.entries) ? data.entries : [] };
+        } catch (error) {
+            console.error('Error reading exercise log:', error);
+            return { entries: [] };
+        }
+    }
+
+    /**
+     * Save the exercise log
+     * @param {object} data - { entries }
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Error saving exercise log:', error);
+        }
+    }
+
+    /**
+     * Get an activity from the table
+     * @param {string} activityId - The activity id
+     */
+    getActivity(activityId) {
+        return this.activities.find(a => a.id === activityId) || null;
+    }
+
+    /**
+     * Weight used for burn calculations
+     */
+    getWeightKg() {
+        return this.profile?.data.weightKg || this.defaultWeightKg;
+    }
+
+    /**
+     * Calories burned by an activity
+     * @param {number} met - MET value of the activity
+     * @param {number} minutes - Duration in minutes
+     * @param {number} weightKg - Body weight in kg
+     */
+    calculateCalories(met, minutes, weightKg = this.getWeightKg()) {
+        return Math.round(met * weightKg * (minutes / 60));
+    }
+
+    /**
+     * Calories burned walking a number of steps
+     * @param {number} steps - Step count
+     * @param {number} weightKg - Body weight in kg
+     */
+    estimateStepCalories(steps, weightKg = this.getWeightKg()) {
+        return Math.round(steps * weightKg * this.kcalPerStepPerKg);
+    }
+
+    /**
+     * Log an activity from the table
+     * @param {string} activityId - The activity id
+     * @param {number} minutes - Duration in minutes
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @returns {object|null} The new entry, or null for an unknown activity or invalid duration
+     */
+    add(activityId, minutes, dateKey = null) {
+        const activity = this.getActivity(activityId);
+        const durationMin = Math.round(parseFloat(minutes));
+        if (!activity || !(durationMin > 0) || durationMin > 1440) return null;
+        let now = new Date();
+        // Back-filled workouts keep the current time of day on the chosen date
+        if (dateKey && dateKey !== this.foodLog.getDateKey(now)) now = this.foodLog.getTimestampForDateKey(dateKey, now);
+        const weightKg = this.getWeightKg();
+        const entry = {
+            id: this.foodLog.createId(),
+            activityId: activity.id,
+            name: activity.label,
+            met: activity.met,
+            durationMin,
+            weightKg,
+            calories: this.calculateCalories(activity.met, durationMin, weightKg),
+            timestamp: now.toISOString(),
+            source: 'manual'
+        };
+        const data = this.load();
+        data.entries.push(entry);
+        this.save(data);
+        return entry;
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} entryId - The entry id
+     * @returns {object|null} The deleted entry
+     */
+    remove(entryId) {
+        const data = this.load();
+        const entry = data.entries.find(e => e.id === entryId) || null;
+        data.entries = data.entries.filter(e => e.id !== entryId);
+        this.save(data);
+        return entry;
+    }
+
+    /**
+     * Put an entry back exactly as it was, e.g. after an undo
+     * @param {object} entry - The entry
+     */
+    restore(entry) {
+        const data = this.load();
+        data.entries = [...data.entries.filter(e => e.id !== entry.id), entry];
+        this.save(data);
+    }
+
+    /**
+     * Add or replace entries by id in one write (imports)
+     * @param {array} entries - Complete entries
+     */
+    putEntries(entries) {
+        if (entries.length === 0) return;
+        const ids = new Set(entries.map(e => e.id));
+        const data = this.load();
+        data.entries = [...data.entries.filter(e => !ids.has(e.id)), ...entries];
+        this.save(data);
+    }
+
+    /**
+     * Workouts on a day, oldest first
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getEntries(dateKey = null) {
+        const key = dateKey || this.foodLog.getDateKey();
+        return this.load().entries
+            .filter(e => this.foodLog.getEntryDateKey(e, null) === key)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Calories burned on a day
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getBurned(dateKey = null) {
+        return this.getEntries(dateKey).reduce((sum, e) => sum + (e.calories || 0), 0);
+    }
+
+    /**
+     * Calories burned per day
+     * @returns {object} Totals keyed by date key
+     */
+    getDailyBurned() {
+        const totals = {};
+        this.load().entries.forEach(e => {
+            const key = this.foodLog.getEntryDateKey(e, null);
+            if (key) totals[key] = (totals[key] || 0) + (e.calories || 0);
+        });
+        return totals;
+    }
+
+    /**
+     * Call onChange when another tab saves
+     */
+    listenForChanges() {
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey && this.onChange) this.onChange();
+        });
+    }
+}
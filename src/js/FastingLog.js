@@ -0,0 +1,243 @@
+/**
+ * FastingLog - Intermittent fasting timer and fasting history
+ * Stored in LocalStorage under nutriplan_fasting as
+ * { protocolId, active: { startedAt, protocolId } | null, fasts: [{ id, start, end, protocolId, targetHours }] }.
+ * Days without a timed fast fall back to the gap between meals, inferred from the
+ * timestamps of log entries.
+ */
+export class FastingLog {
+    constructor(foodLog) {
+        this.foodLog = foodLog;
+        this.storageKey = 'nutriplan_fasting';
+        this.protocols = [
+            { id: '16:8', label: '16:8', fastHours: 16 },
+            { id: '18:6', label: '18:6', fastHours: 18 },
+            { id: '20:4', label: '20:4', fastHours: 20 },
+            { id: 'omad', label: 'OMAD (23:1)', fastHours: 23 }
+        ];
+        this.defaultProtocolId = '16:8';
+        // Called when another tab changes the timer
+        this.onChange = null;
+    }
+
+    /**
+     * Read the stored fasting log
+     */
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                protocolId: this.getProtocol(data.protocolId).id,
+                active: data.active?.startedAt ? data.active : null,
+                fasts: Array.isArray(data.fasts) ? data.fasts : []
+            };
+        } catch (error) {
+            console.error('Error reading fasting log:', error);
+            return { protocolId: this.defaultProtocolId, active: null, fasts: [] };
+        }
+    }
+
+    /**
+     * Save the fasting log
+     * @param {object} data - { protocolId, active, fasts }
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Error saving fasting log:', error);
+        }
+    }
+
+    /**
+     * A protocol by id, or the default protocol
+     * @param {string} protocolId - Protocol id
+     */
+    getProtocol(protocolId) {
+        return this.protocols.find(p => p.id === protocolId) || this.protocols.find(p => p.id === this.defaultProtocolId);
+    }
+
+    /**
+     * The protocol new fasts use
+     */
+    getCurrentProtocol() {
+        return this.getProtocol(this.load().protocolId);
+    }
+
+    /**
+     * Choose the protocol; an active fast switches to it too
+     * @param {string} protocolId - Protocol id
+     */
+    setProtocol(protocolId) {
+        const data = this.load();
+        data.protocolId = this.getProtocol(protocolId).id;
+        if (data.active) data.active.protocolId = data.protocolId;
+        this.save(data);
+    }
+
+    /**
+     * The running fast, or null
+     * @returns {object|null} { startedAt, protocolId }
+     */
+    getActive() {
+        return this.load().active;
+    }
+
+    /**
+     * Start a fast
+     * @param {Date} startedAt - Optional start, e.g. the last meal; defaults to now
+     * @returns {object|null} The active fast, or null when one is running or the start is in the future
+     */
+    start(startedAt = new Date()) {
+        const data = this.load();
+        if (data.active || isNaN(startedAt) || startedAt > new Date()) return null;
+        data.active = { startedAt: startedAt.toISOString(), protocolId: data.protocolId };
+        this.save(data);
+        return data.active;
+    }
+
+    /**
+     * End the running fast and keep it in the history
+     * @param {Date} endedAt - Optional end; defaults to now
+     * @returns {object|null} The finished fast, or null when none was running
+     */
+    stop(endedAt = new Date()) {
+        const data = this.load();
+        if (!data.active) return null;
+        const end = new Date(Math.max(endedAt, new Date(data.active.startedAt)));
+        const protocol = this.getProtocol(data.active.protocolId);
+        const fast = {
+            id: this.foodLog.createId(),
+            start: data.active.startedAt,
+            end: end.toISOString(),
+            protocolId: protocol.id,
+            targetHours: protocol.fastHours
+        };
+        data.fasts.push(fast);
+        data.active = null;
+        this.save(data);
+        return fast;
+    }
+
+    /**
+     * Undo stop(): drop the finished fast and keep it running
+     * @param {object} fast - From stop()
+     */
+    resume(fast) {
+        const data = this.load();
+        data.fasts = data.fasts.filter(f => f.id !== fast.id);
+        data.active = { startedAt: fast.start, protocolId: fast.protocolId };
+        this.save(data);
+    }
+
+    /**
+     * Throw away the running fast without recording it
+     * @returns {object|null} The fast that was running
+     */
+    cancel() {
+        const data = this.load();
+        const active = data.active;
+        data.active = null;
+        this.save(data);
+        return active;
+    }
+
+    /**
+     * Put a cancelled fast back
+     * @param {object} active - From cancel()
+     */
+    restore(active) {
+        const data = this.load();
+        data.active = active;
+        this.save(data);
+    }
+
+    /**
+     * Hours between two times
+     * @param {string|Date} start - Start
+     * @param {string|Date} end - End
+     */
+    getHours(start, end) {
+        return (new Date(end) - new Date(start)) / 3600000;
+    }
+
+    /**
+     * Entries logged after the running fast started
+     * @param {array} entries - Log entries
+     */
+    getEntriesDuringFast(entries) {
+        const active = this.getActive();
+        if (!active) return [];
+        return entries.filter(e => e.timestamp >= active.startedAt);
+    }
+
+    /**
+     * Eating window and the fast before it for every day in a range, from entry timestamps
+     * The fast is the gap from the previous day's last entry to the day's first; null
+     * when the previous day has nothing logged.
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     * @returns {Promise<array>} [{ date, first, last, windowHours, fastHours }]; first/last are null on empty days
+     */
+    async getEatingWindows(startKey, endKey) {
+        const data = await this.foodLog.getRangeData(this.foodLog.shiftDateKey(startKey, -1), endKey);
+        const windows = [];
+        let previousLast = null;
+        for (let dateKey = this.foodLog.shiftDateKey(startKey, -1); dateKey <= endKey; dateKey = this.foodLog.shiftDateKey(dateKey, 1)) {
+            const times = (data[dateKey] || []).map(e => e.timestamp).filter(Boolean).sort();
+            const first = times[0] || null;
+            const last = times[times.length - 1] || null;
+            if (dateKey >= startKey) {
+                windows.push({
+                    date: dateKey,
+                    first,
+                    last,
+                    windowHours: first ? this.getHours(first, last) : null,
+                    fastHours: first && previousLast ? this.getHours(previousLast, first) : null
+                });
+            }
+            previousLast = last;
+        }
+        return windows;
+    }
+
+    /**
+     * Fasting hours per day: the longest timed fast ending that day, else the inferred fast
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     * @returns {Promise<array>} [{ date, hours, source: 'timer'|'log'|null, targetHours, windowHours }]
+     */
+    async getHistory(startKey, endKey) {
+        const timed = {};
+        this.load().fasts.forEach(fast => {
+            const key = this.foodLog.getEntryDateKey({ timestamp: fast.end }, null);
+            if (key && (!timed[key] || this.getHours(fast.start, fast.end) > this.getHours(timed[key].start, timed[key].end))) timed[key] = fast;
+        });
+        const targetHours = this.getCurrentProtocol().fastHours;
+        return (await this.getEatingWindows(startKey, endKey)).map(day => {
+            const fast = timed[day.date];
+            if (fast) return { date: day.date, hours: this.getHours(fast.start, fast.end), source: 'timer', targetHours: fast.targetHours, windowHours: day.windowHours };
+            return { date: day.date, hours: day.fastHours, source: day.fastHours === null ? null : 'log', targetHours, windowHours: day.windowHours };
+        });
+    }
+
+    /**
+     * Timestamp of the most recent log entry in the last two days, or null
+     */
+    async getLastMealTime() {
+        const today = this.foodLog.getDateKey();
+        const data = await this.foodLog.getRangeData(this.foodLog.shiftDateKey(today, -1), today);
+        const now = new Date().toISOString();
+        const times = Object.values(data).flat().map(e => e.timestamp).filter(t => t && t <= now).sort();
+        return times[times.length - 1] || null;
+    }
+
+    /**
+     * Call onChange when another tab saves
+     */
+    listenForChanges() {
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey && this.onChange) this.onChange();
+        });
+    }
+}
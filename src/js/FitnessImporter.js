@@ -0,0 +1,411 @@
+/**
+ * FitnessImporter - Reads activity and weight exports from fitness apps
+ * Supports the Google Takeout Fit "Daily activity metrics" CSV, Apple Health export.xml
+ * and GPX/TCX workout files. Everything is parsed in the browser; nothing is uploaded.
+ * Daily totals (steps, active energy) become one exercise entry per day and kind,
+ * stamped at midday, so importing the same export again finds them as duplicates.
+ */
+export class FitnessImporter {
+    constructor(foodLog, exerciseLog, weightLog, foodLogImporter) {
+        this.foodLog = foodLog;
+        this.exerciseLog = exerciseLog;
+        this.weightLog = weightLog;
+        // Reuses the food log importer's CSV and number parsing
+        this.csv = foodLogImporter;
+        this.sources = {
+            'google-fit': 'Google Fit',
+            'apple-health': 'Apple Health',
+            gpx: 'GPX workout',
+            tcx: 'TCX workout'
+        };
+        this.kgPerLb = 0.45359237;
+        this.kJPerKcal = 4.184;
+        // Workout names come from the file; longer ones are cut
+        this.maxNameLength = 60;
+    }
+
+    /**
+     * Work out the format of a file and parse it
+     * @param {File} file - The uploaded file
+     * @returns {Promise<{ source: string, exercise: array, weights: array, errors: array }>}
+     */
+    async parseFile(file) {
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.gpx')) return this.parseGPX(await file.text());
+        if (name.endsWith('.tcx')) return this.parseTCX(await file.text());
+        if (name.endsWith('.xml')) return this.parseAppleHealth(file);
+        if (name.endsWith('.csv')) return this.parseGoogleFit(await file.text());
+        throw new Error('Choose a Google Fit CSV, an Apple Health export.xml, or a GPX or TCX file');
+    }
+
+    /**
+     * Timestamp used for a daily total
+     * @param {string} dateKey - The day
+     */
+    getDailyTimestamp(dateKey) {
+        return this.foodLog.getTimestampForDateKey(dateKey, new Date(2000, 0, 1, 12)).toISOString();
+    }
+
+    /**
+     * Exercise entry for a day's steps
+     * @param {string} source - Source id
+     * @param {string} dateKey - The day
+     * @param {number} steps - Step count
+     * @param {boolean} countCalories - False when the day's active energy already covers walking
+     * @param {number} durationMin - Optional active minutes
+     */
+    createStepsEntry(source, dateKey, steps, countCalories, durationMin = null) {
+        return {
+            id: this.foodLog.createId(),
+            activityId: 'steps',
+            name: 'Steps',
+            steps: Math.round(steps),
+            durationMin: durationMin ? Math.round(durationMin) : null,
+            calories: countCalories ? this.exerciseLog.estimateStepCalories(steps) : 0,
+            timestamp: this.getDailyTimestamp(dateKey),
+            source
+        };
+    }
+
+    /**
+     * Exercise entry for a day's active energy
+     * @param {string} source - Source id
+     * @param {string} dateKey - The day
+     * @param {number} kcal - Active calories
+     */
+    createActiveEnergyEntry(source, dateKey, kcal) {
+        return {
+            id: this.foodLog.createId(),
+            activityId: 'active-energy',
+            name: 'Active energy',
+            calories: Math.round(kcal),
+            timestamp: this.getDailyTimestamp(dateKey),
+            source
+        };
+    }
+
+    /**
+     * Weigh-in from a file
+     * @param {string} source - Source id
+     * @param {Date} time - When it was taken
+     * @param {number} kg - Weight in kg
+     */
+    createWeighIn(source, time, kg) {
+        return {
+            id: this.foodLog.createId(),
+            dateKey: this.foodLog.getDateKey(time),
+            kg: Math.round(kg * 10) / 10,
+            timestamp: time.toISOString(),
+            source
+        };
+    }
+
+    /**
+     * Google Takeout Fit "Daily activity metrics.csv": one row per day
+     * Fit's calorie column includes resting energy, so only steps are used for the burn.
+     * @param {string} text - File contents
+     */
+    parseGoogleFit(text) {
+        const { headers, rows } = this.csv.parseCSV(text);
+        const column = (name) => headers.findIndex(h => h.trim().toLowerCase() === name);
+        const cols = {
+            date: column('date'),
+            steps: column('step count'),
+            moveMinutes: column('move minutes count'),
+            weight: column('average weight (kg)')
+        };
+        if (cols.date < 0 || (cols.steps < 0 && cols.weight < 0)) {
+            throw new Error('This CSV is not a Google Fit daily activity metrics export');
+        }
+        const result = { source: 'google-fit', exercise: [], weights: [], errors: [] };
+        rows.forEach((row, i) => {
+            const dateKey = (row[cols.date] || '').trim();
+            if (!this.foodLog.isValidDateKey(dateKey)) {
+                result.errors.push({ row: i + 2, message: `Unreadable date "${row[cols.date] || ''}"` });
+                return;
+            }
+            const steps = cols.steps >= 0 ? this.csv.parseNumber(row[cols.steps]) : null;
+            if (steps > 0) {
+                const minutes = cols.moveMinutes >= 0 ? this.csv.parseNumber(row[cols.moveMinutes]) : null;
+                result.exercise.push(this.createStepsEntry('google-fit', dateKey, steps, true, minutes));
+            }
+            const kg = cols.weight >= 0 ? this.csv.parseNumber(row[cols.weight]) : null;
+            if (this.weightLog.isValidWeight(kg)) {
+                result.weights.push(this.createWeighIn('google-fit', new Date(this.getDailyTimestamp(dateKey)), kg));
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Apple Health export.xml: step, active energy and body mass records
+     * The file can be hundreds of MB, so it is scanned in chunks rather than parsed as a DOM.
+     * Phone and watch both count steps; per day the source with the highest total is used.
+     * @param {File} file - The export.xml file
+     */
+    async parseAppleHealth(file) {
+        const totals = {}; // { steps|energy: { dateKey: { sourceName: total } } }
+        const weights = {}; // { dateKey: { time, kg } }, latest of the day
+        let records = 0;
+        const types = {
+            HKQuantityTypeIdentifierStepCount: 'steps',
+            HKQuantityTypeIdentifierActiveEnergyBurned: 'energy',
+            HKQuantityTypeIdentifierBodyMass: 'weight'
+        };
+
+        const handleRecord = (tag) => {
+            const attrs = {};
+            for (const [, key, value] of tag.matchAll(/(\w+)="([^"]*)"/g)) attrs[key] = value;
+            const kind = types[attrs.type];
+            if (!kind) return;
+            const time = this.parseAppleDate(attrs.startDate);
+            let value = parseFloat(attrs.value);
+            if (!time || isNaN(value)) return;
+            records++;
+            const dateKey = this.foodLog.getDateKey(time);
+            if (kind === 'weight') {
+                if (attrs.unit === 'lb') value *= this.kgPerLb;
+                else if (attrs.unit === 'g') value /= 1000;
+                if (!weights[dateKey] || weights[dateKey].time < time) weights[dateKey] = { time, kg: value };
+                return;
+            }
+            if (kind === 'energy' && attrs.unit === 'kJ') value /= this.kJPerKcal;
+            const day = ((totals[kind] = totals[kind] || {})[dateKey] = totals[kind][dateKey] || {});
+            day[attrs.sourceName || ''] = (day[attrs.sourceName || ''] || 0) + value;
+        };
+        const scan = (text) => {
+            for (const [tag] of text.matchAll(/<Record\b[^>]*>/g)) handleRecord(tag);
+        };
+
+        if (file.stream) {
+            const reader = file.stream().getReader();
+            const decoder = new TextDecoder();
+            let rest = '';
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                rest += decoder.decode(value, { stream: true });
+                // Keep an unfinished tag for the next chunk
+                const end = rest.lastIndexOf('>') + 1;
+                scan(rest.slice(0, end));
+                rest = rest.slice(end);
+            }
+            scan(rest + decoder.decode());
+        } else {
+            scan(await file.text());
+        }
+        if (records === 0) throw new Error('No steps, active energy or weight found in this Apple Health export');
+
+        const best = (bySource) => Math.max(...Object.values(bySource));
+        const result = { source: 'apple-health', exercise: [], weights: [], errors: [] };
+        const energy = totals.energy || {};
+        Object.entries(energy).forEach(([dateKey, bySource]) => {
+            const kcal = best(bySource);
+            if (kcal > 0) result.exercise.push(this.createActiveEnergyEntry('apple-health', dateKey, kcal));
+        });
+        Object.entries(totals.steps || {}).forEach(([dateKey, bySource]) => {
+            const steps = best(bySource);
+            if (steps > 0) result.exercise.push(this.createStepsEntry('apple-health', dateKey, steps, !energy[dateKey]));
+        });
+        Object.values(weights).forEach(({ time, kg }) => {
+            if (this.weightLog.isValidWeight(kg)) result.weights.push(this.createWeighIn('apple-health', time, kg));
+        });
+        return result;
+    }
+
+    /**
+     * Read an Apple Health date ("2024-03-01 08:15:00 +0100")
+     * @param {string} value - The date text
+     * @returns {Date|null}
+     */
+    parseAppleDate(value) {
+        const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+        const date = match ? new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * Parse workout XML
+     * @param {string} text - File contents
+     */
+    parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('This file is not valid XML');
+        return doc;
+    }
+
+    /**
+     * Elements by local name, whatever namespace the file uses
+     * @param {Element|Document} parent - Where to look
+     * @param {string} name - Local tag name
+     */
+    elements(parent, name) {
+        return Array.from(parent.getElementsByTagNameNS('*', name));
+    }
+
+    /**
+     * Pick an activity from the table for a workout
+     * @param {string} type - Sport named in the file, if any
+     * @param {number} kmh - Average speed
+     */
+    guessActivity(type, kmh) {
+        const sport = (type || '').toLowerCase();
+        if (/run|jog/.test(sport)) return 'running';
+        if (/bik|cycl|ride/.test(sport)) return 'cycling-moderate';
+        if (/hik/.test(sport)) return 'hiking';
+        if (/walk/.test(sport)) return 'walking';
+        if (/swim/.test(sport)) return 'swimming';
+        if (kmh >= 16) return 'cycling-moderate';
+        if (kmh >= 7) return 'running';
+        return 'walking';
+    }
+
+    /**
+     * Exercise entry for a workout
+     * @param {string} source - 'gpx' or 'tcx'
+     * @param {object} workout - { start: Date, seconds, meters, calories, type, name }
+     */
+    createWorkoutEntry(source, workout) {
+        const minutes = workout.seconds / 60;
+        const kmh = workout.seconds > 0 ? (workout.meters / 1000) / (workout.seconds / 3600) : 0;
+        const activity = this.exerciseLog.getActivity(this.guessActivity(workout.type, kmh));
+        const name = (workout.name || '').replace(/\s+/g, ' ').trim().slice(0, this.maxNameLength);
+        return {
+            id: this.foodLog.createId(),
+            activityId: activity.id,
+            name: name || activity.label,
+            met: activity.met,
+            durationMin: Math.round(minutes),
+            distanceM: Math.round(workout.meters),
+            calories: workout.calories > 0 ? Math.round(workout.calories) : this.exerciseLog.calculateCalories(activity.met, minutes),
+            timestamp: workout.start.toISOString(),
+            source
+        };
+    }
+
+    /**
+     * GPX track: duration and distance from the track points
+     * @param {string} text - File contents
+     */
+    parseGPX(text) {
+        const doc = this.parseXML(text);
+        const result = { source: 'gpx', exercise: [], weights: [], errors: [] };
+        this.elements(doc, 'trk').forEach((trk, i) => {
+            const points = this.elements(trk, 'trkpt').map(pt => ({
+                lat: parseFloat(pt.getAttribute('lat')),
+                lon: parseFloat(pt.getAttribute('lon')),
+                time: new Date(this.elements(pt, 'time')[0]?.textContent)
+            })).filter(p => !isNaN(p.lat) && !isNaN(p.lon) && !isNaN(p.time));
+            if (points.length < 2) {
+                result.errors.push({ row: i + 1, message: 'Track has no timed points' });
+                return;
+            }
+            let meters = 0;
+            for (let j = 1; j < points.length; j++) meters += this.distance(points[j - 1], points[j]);
+            result.exercise.push(this.createWorkoutEntry('gpx', {
+                start: points[0].time,
+                seconds: (points[points.length - 1].time - points[0].time) / 1000,
+                meters,
+                type: this.elements(trk, 'type')[0]?.textContent,
+                name: this.elements(trk, 'name')[0]?.textContent
+            }));
+        });
+        if (result.exercise.length === 0 && result.errors.length === 0) throw new Error('No tracks found in this GPX file');
+        return result;
+    }
+
+    /**
+     * TCX activities: laps carry time, distance and calories
+     * @param {string} text - File contents
+     */
+    parseTCX(text) {
+        const doc = this.parseXML(text);
+        const result = { source: 'tcx', exercise: [], weights: [], errors: [] };
+        this.elements(doc, 'Activity').forEach((activity, i) => {
+            const laps = this.elements(activity, 'Lap');
+            const start = new Date(this.elements(activity, 'Id')[0]?.textContent || laps[0]?.getAttribute('StartTime'));
+            if (isNaN(start) || laps.length === 0) {
+                result.errors.push({ row: i + 1, message: 'Activity has no start time or laps' });
+                return;
+            }
+            const sum = (name) => laps.reduce((total, lap) => {
+                const child = Array.from(lap.children).find(c => c.localName === name);
+                return total + (parseFloat(child?.textContent) || 0);
+            }, 0);
+            result.exercise.push(this.createWorkoutEntry('tcx', {
+                start,
+                seconds: sum('TotalTimeSeconds'),
+                meters: sum('DistanceMeters'),
+                calories: sum('Calories'),
+                type: activity.getAttribute('Sport')
+            }));
+        });
+        if (result.exercise.length === 0 && result.errors.length === 0) throw new Error('No activities found in this TCX file');
+        return result;
+    }
+
+    /**
+     * Distance between two points in metres (haversine)
+     * @param {object} a - { lat, lon }
+     * @param {object} b - { lat, lon }
+     */
+    distance(a, b) {
+        const rad = Math.PI / 180;
+        const dLat = (b.lat - a.lat) * rad;
+        const dLon = (b.lon - a.lon) * rad;
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Key that identifies an imported record: same source, kind and time means same record
+     * @param {object} entry - Exercise entry
+     */
+    getImportKey(entry) {
+        return `${entry.source}|${entry.activityId}|${entry.timestamp}`;
+    }
+
+    /**
+     * Compare parsed data with the logs
+     * Exercise: records already imported are duplicates, or updates when their numbers changed.
+     * Weight: days with a manual weigh-in keep it; days imported before are updated.
+     * @param {object} parsed - From parseFile
+     * @returns {object} { exercise: { added, updated, duplicates }, weights: { added, updated, duplicates, kept } }
+     */
+    planImport(parsed) {
+        const plan = {
+            exercise: { added: [], updated: [], duplicates: [] },
+            weights: { added: [], updated: [], duplicates: [], kept: [] }
+        };
+        const existing = new Map(this.exerciseLog.load().entries.filter(e => e.source && e.source !== 'manual').map(e => [this.getImportKey(e), e]));
+        parsed.exercise.forEach(entry => {
+            const match = existing.get(this.getImportKey(entry));
+            if (!match) plan.exercise.added.push(entry);
+            else if (match.calories === entry.calories && match.steps === entry.steps && match.durationMin === entry.durationMin) plan.exercise.duplicates.push(entry);
+            else plan.exercise.updated.push({ ...entry, id: match.id });
+        });
+
+        const byDay = new Map(this.weightLog.load().entries.map(e => [e.dateKey, e]));
+        parsed.weights.forEach(entry => {
+            const match = byDay.get(entry.dateKey);
+            if (!match) plan.weights.added.push(entry);
+            else if (!match.source || match.source === 'manual') plan.weights.kept.push(entry);
+            else if (match.source === entry.source && match.timestamp === entry.timestamp && match.kg === entry.kg) plan.weights.duplicates.push(entry);
+            else plan.weights.updated.push({ ...entry, id: match.id });
+        });
+        return plan;
+    }
+
+    /**
+     * Write a planned import to the logs
+     * @param {object} plan - From planImport
+     * @returns {{ exercise: number, weights: number }} Entries added or updated
+     */
+    applyImport(plan) {
+        const exercise = [...plan.exercise.added, ...plan.exercise.updated];
+        const weights = [...plan.weights.added, ...plan.weights.updated];
+        this.exerciseLog.putEntries(exercise);
+        this.weightLog.putEntries(weights);
+        return { exercise: exercise.length, weights: weights.length };
+    }
+}
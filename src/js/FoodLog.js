@@ -1,79 +1,734 @@
 /**
- * FoodLog - LocalStorage management for food tracking
- * Handles all food log operations with date-based storage
+ * FoodLog - Food tracking with date-based storage
+ * Handles all food log operations through a pluggable storage adapter
+ * (IndexedDB when available, LocalStorage otherwise). All data access is async.
  */
+import { FOODLOG_SCHEMA_VERSION, runMigrations } from './storage/migrations.js?v=1.13';
+import { IndexedDBAdapter } from './storage/IndexedDBAdapter.js?v=1.13';
+import { LocalStorageAdapter } from './storage/LocalStorageAdapter.js?v=1.13';
+
 export class FoodLog {
-    constructor() {
+    /**
+     * @param {object} storage - Optional StorageAdapter; picked in init() when omitted
+     */
+    constructor(storage = null) {
         this.storageKey = 'nutriplan_foodlog';
-        this.dailyTargets = {
+        // Used until the profile is complete enough to compute targets
+        this.defaultTargets = {
             calories: 2000,
             protein: 50,
             carbs: 250,
             fat: 65
         };
+        // UserProfile that supplies computed targets (set by the app)
+        this.profile = null;
+        // ExerciseLog whose burn is subtracted in net calories mode (set by the app)
+        this.exerciseLog = null;
+        // Nutrients tracked beyond the macros; amounts are per serving, like the macros
+        this.micronutrients = [
+            { id: 'fiber', label: 'Fiber', unit: 'g' },
+            { id: 'sugar', label: 'Sugar', unit: 'g' },
+            { id: 'sodium', label: 'Sodium', unit: 'mg' },
+            { id: 'saturatedFat', label: 'Saturated fat', unit: 'g' }
+        ];
+        // Daily upper limits (FDA daily values); settings.nutrientLimits overrides them
+        this.defaultNutrientLimits = { sodium: 2300, sugar: 50, saturatedFat: 20 };
+        this.mealSlots = [
+            { id: 'breakfast', label: 'Breakfast' },
+            { id: 'lunch', label: 'Lunch' },
+            { id: 'dinner', label: 'Dinner' },
+            { id: 'snacks', label: 'Snacks' }
+        ];
+        // Optional tags on entries, for relating eating to how people feel; entry.tags also has ateOut: true
+        this.entryTags = [
+            { id: 'hunger', label: 'Hunger', options: [
+                { id: '1', label: 'Not hungry' },
+                { id: '2', label: 'Slightly hungry' },
+                { id: '3', label: 'Hungry' },
+                { id: '4', label: 'Very hungry' },
+                { id: '5', label: 'Starving' }
+            ] },
+            { id: 'mood', label: 'Mood', options: [
+                { id: 'happy', label: 'Happy' },
+                { id: 'calm', label: 'Calm' },
+                { id: 'tired', label: 'Tired' },
+                { id: 'stressed', label: 'Stressed' },
+                { id: 'sad', label: 'Sad' },
+                { id: 'bored', label: 'Bored' }
+            ] },
+            { id: 'location', label: 'Location', options: [
+                { id: 'home', label: 'Home' },
+                { id: 'work', label: 'Work' },
+                { id: 'school', label: 'School' },
+                { id: 'restaurant', label: 'Restaurant' },
+                { id: 'on-the-go', label: 'On the go' },
+                { id: 'social', label: 'With friends' }
+            ] }
+        ];
+        // Days of history the quick-add suggestions are drawn from
+        this.suggestionDays = 90;
+        // Per-day journal notes: { dateKey: text }
+        this.notesKey = 'nutriplan_foodlog_notes';
+        this.settingsKey = 'nutriplan_foodlog_settings';
+        this.settings = this.loadSettings();
+        // Stored data carries a schema version; upgrades live in storage/migrations.js
+        this.schemaVersion = FOODLOG_SCHEMA_VERSION;
+        this.legacyMigrationsKey = 'nutriplan_foodlog_migrations';
+        this.storage = storage;
+        this.onCorruptData = null;
+        // Called with { dateKeys } when another tab changes the food log
+        this.onChange = null;
+        // Called with the changed date keys (null = any day) after any write, from this tab or another
+        this.onEntriesChange = null;
     }
 
     /**
-     * Get the storage key for a specific date
-     * @param {Date} date - The date
+     * Daily targets: computed from the profile when it is complete, defaults otherwise
      */
-    getDateKey(date = new Date()) {
-        return date.toISOString().split('T')[0];
+    get dailyTargets() {
+        return this.profile?.getDailyTargets() || this.defaultTargets;
+    }
+
+    /**
+     * Targets active on a day: a dated period or weekday override from the profile, else dailyTargets
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getTargets(dateKey = null) {
+        const key = dateKey || this.getDateKey();
+        return this.profile?.getTargetOverride(key, this.parseDateKey(key).getDay()) || this.dailyTargets;
     }
 
     /**
-     * Get all log data from LocalStorage
+     * Open storage and upgrade stored data to the current schema version
+     * Data in the LocalStorage blob (from before IndexedDB, or a session that fell back to it) is merged into IndexedDB.
+     * Set onCorruptData before calling this to be told about unreadable data.
      */
-    getAllData() {
+    async init() {
+        if (!this.storage) {
+            this.storage = await this.createStorage();
+        }
         try {
-            const data = localStorage.getItem(this.storageKey);
-            return data ? JSON.parse(data) : {};
+            await this.prepareStorage();
         } catch (error) {
-            console.error('Error reading food log:', error);
-            return {};
+            if (this.storage instanceof LocalStorageAdapter) throw error;
+            // The LocalStorage blob is only removed after a successful merge, so nothing is lost
+            console.error('Error preparing IndexedDB, using LocalStorage:', error);
+            this.storage = await this.createLocalStorageAdapter().open();
+            await this.prepareStorage();
+        }
+
+        this.storage.onChange = (change) => this.handleRemoteChange(change);
+        this.storage.onWrite = (dateKeys) => {
+            if (this.onEntriesChange) this.onEntriesChange(dateKeys);
+        };
+        this.storage.listenForChanges();
+    }
+
+    /**
+     * Migrate the current storage, merging in any legacy LocalStorage data first
+     */
+    async prepareStorage() {
+        this.storage.onCorruptData = (raw, error) => {
+            if (this.onCorruptData) this.onCorruptData(raw, error);
+        };
+
+        const legacy = this.storage instanceof LocalStorageAdapter ? null : this.createLocalStorageAdapter();
+        if (legacy?.hasData()) {
+            legacy.onCorruptData = this.storage.onCorruptData;
+            await this.importFromLocalStorage(legacy);
+        } else {
+            await this.upgradeStorage();
+        }
+    }
+
+    /**
+     * Another tab changed the food log; its settings may have changed too
+     * @param {object} change - { dateKeys }
+     */
+    handleRemoteChange(change) {
+        this.settings = this.loadSettings();
+        if (this.onEntriesChange) this.onEntriesChange(change.dateKeys);
+        if (this.onChange) this.onChange(change);
+    }
+
+    /**
+     * Daily upper limits for sodium, sugar and saturated fat
+     */
+    get nutrientLimits() {
+        return { ...this.defaultNutrientLimits, ...(this.settings.nutrientLimits || {}) };
+    }
+
+    /**
+     * Pick the storage backend: IndexedDB, falling back to LocalStorage
+     */
+    async createStorage() {
+        if (IndexedDBAdapter.isSupported()) {
+            try {
+                return await new IndexedDBAdapter().open();
+            } catch (error) {
+                console.warn('IndexedDB unavailable, using LocalStorage:', error);
+            }
+        }
+        return this.createLocalStorageAdapter().open();
+    }
+
+    createLocalStorageAdapter() {
+        return new LocalStorageAdapter(this.storageKey, this.legacyMigrationsKey, this.schemaVersion);
+    }
+
+    /**
+     * Run pending migrations on the current storage
+     */
+    async upgradeStorage() {
+        const version = await this.storage.getVersion();
+        if (version === null) {
+            if (this.storage.corruptData === null) await this.storage.setVersion(this.schemaVersion);
+            return;
+        }
+        if (version >= this.schemaVersion) return;
+
+        const result = await this.migrate(await this.storage.getAll(), version);
+        if (result.version > version) {
+            await this.storage.replaceAll(result.days);
+            await this.storage.setVersion(result.version);
+        }
+    }
+
+    /**
+     * Move the LocalStorage blob into IndexedDB, upgrading it on the way
+     * The blob's entries are merged into what IndexedDB already holds: a session that
+     * fell back to LocalStorage only has the days logged since, not the whole history.
+     * If the blob can't be read it stays in place and LocalStorage is used, so it can be recovered;
+     * if it can't be upgraded it stays in place too, next to the backup migrate() keeps.
+     * @param {LocalStorageAdapter} legacy - Adapter over the old blob
+     */
+    async importFromLocalStorage(legacy) {
+        const version = await legacy.getVersion();
+        if (legacy.corruptData !== null) {
+            this.storage = legacy;
+            return;
+        }
+
+        await this.upgradeStorage();
+        const result = await this.migrate(await legacy.getAll(), version);
+        if (result.error) return;
+        const put = Object.entries(result.days).flatMap(([dateKey, items]) => items.map(item => ({ dateKey, item })));
+        if (put.length > 0) await this.storage.applyChanges({ put });
+        legacy.remove();
+    }
+
+    /**
+     * Upgrade a days map; if a migration fails the original is kept as a backup
+     * @param {object} days - Stored days map
+     * @param {number} fromVersion - Version the data is stored at
+     */
+    async migrate(days, fromVersion) {
+        const original = JSON.stringify(days);
+        const result = runMigrations(days, fromVersion, this);
+        if (result.error) {
+            await this.storage.saveBackup(`backup_v${fromVersion}`, original);
         }
+        return result;
+    }
+
+    /**
+     * Raw unreadable data, or null when storage is healthy
+     */
+    get corruptData() {
+        return this.storage ? this.storage.corruptData : null;
+    }
+
+    /**
+     * Start over after unreadable data, keeping a copy of it as a backup
+     * @returns {Promise<string|null>} The backup name, or null if there was no room for a copy
+     */
+    async recoverFromCorruptData() {
+        const backup = await this.storage.recover();
+        await this.storage.setVersion(this.schemaVersion);
+        return backup;
     }
 
     /**
-     * Save all log data to LocalStorage
-     * @param {object} data - The data to save
+     * Create a unique entry id
      */
-    saveAllData(data) {
+    createId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Load log settings from LocalStorage
+     */
+    loadSettings() {
+        const defaults = { dayStartHour: 0, netCalories: false };
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            return { ...defaults, ...JSON.parse(localStorage.getItem(this.settingsKey)) };
         } catch (error) {
-            console.error('Error saving food log:', error);
+            return defaults;
         }
     }
 
+    /**
+     * Set the hour a log day starts at (for night-shift users) and re-file existing entries
+     * @param {number} hour - Hour of the day, 0-12
+     */
+    async setDayStartHour(hour) {
+        const value = Math.max(0, Math.min(12, parseInt(hour) || 0));
+        if (value === this.settings.dayStartHour) return;
+        this.settings.dayStartHour = value;
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+
+        // Move only the entries whose day changed; removing them from the old day reports both days as changed
+        const put = [];
+        const remove = [];
+        Object.entries(await this.getAllData()).forEach(([dateKey, items]) => {
+            items.forEach(item => {
+                const newKey = this.getEntryDateKey(item, dateKey);
+                if (newKey === dateKey) return;
+                put.push({ dateKey: newKey, item });
+                remove.push({ itemId: item.id, dateKey });
+            });
+        });
+        // Other tabs reload settings when told about the change
+        if (put.length > 0) await this.applyChanges({ put, remove });
+        else this.storage.notifyChange(null);
+    }
+
+    /**
+     * Apply the log settings from a backup; missing or invalid values are left as they are
+     * Runs after the backup's entries are imported, so they are re-filed for its day start hour.
+     * @param {object} settings - { dayStartHour, netCalories, nutrientLimits }
+     */
+    async restoreSettings(settings) {
+        if (!settings || typeof settings !== 'object') return;
+        if (typeof settings.netCalories === 'boolean') this.setNetCalories(settings.netCalories);
+        if (settings.nutrientLimits && typeof settings.nutrientLimits === 'object') this.setNutrientLimits(settings.nutrientLimits);
+        if (Number.isInteger(settings.dayStartHour)) await this.setDayStartHour(settings.dayStartHour);
+    }
+
+    /**
+     * Count calories as eaten minus burned by exercise, or as eaten only
+     * @param {boolean} enabled - Whether net calories mode is on
+     */
+    setNetCalories(enabled) {
+        this.settings.netCalories = !!enabled;
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+        // Other tabs reload settings when told about the change
+        this.storage.notifyChange(null);
+    }
+
+    /**
+     * Set daily limits for the nutrients that have one
+     * @param {object} limits - { sodium, sugar, saturatedFat }; empty or invalid values restore the default
+     */
+    setNutrientLimits(limits) {
+        const nutrientLimits = {};
+        Object.keys(this.defaultNutrientLimits).forEach(id => {
+            const value = Number(limits[id]);
+            if (limits[id] !== '' && value > 0) nutrientLimits[id] = value;
+        });
+        this.settings.nutrientLimits = nutrientLimits;
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+        // Other tabs reload settings when told about the change
+        this.storage.notifyChange(null);
+    }
+
+    /**
+     * Calories burned by exercise on a day
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getBurned(dateKey = null) {
+        return this.exerciseLog ? this.exerciseLog.getBurned(dateKey || this.getDateKey()) : 0;
+    }
+
+    /**
+     * Calories that count against the target: net of exercise in net calories mode
+     * @param {number} eaten - Calories eaten
+     * @param {number} burned - Calories burned
+     */
+    countCalories(eaten, burned) {
+        return this.settings.netCalories ? eaten - burned : eaten;
+    }
+
+    /**
+     * Re-file every entry under the day its timestamp falls on
+     * @param {object} data - All log data keyed by date
+     */
+    regroupByTimestamp(data) {
+        const regrouped = {};
+        Object.entries(data).forEach(([dateKey, items]) => {
+            items.forEach(item => {
+                const key = this.getEntryDateKey(item, dateKey);
+                if (!regrouped[key]) regrouped[key] = [];
+                regrouped[key].push(item);
+            });
+        });
+        Object.values(regrouped).forEach(items => {
+            items.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        });
+        return regrouped;
+    }
+
+    /**
+     * Day an entry belongs on according to its timestamp
+     * @param {object} item - Log entry
+     * @param {string} fallbackKey - Used when the entry has no readable timestamp
+     */
+    getEntryDateKey(item, fallbackKey) {
+        const time = item.timestamp ? new Date(item.timestamp) : null;
+        return time && !isNaN(time) ? this.getDateKey(time) : fallbackKey;
+    }
+
+    /**
+     * Get the storage key for a specific date
+     * Days are local-time calendar days, starting at settings.dayStartHour
+     * @param {Date} date - The date
+     */
+    getDateKey(date = new Date()) {
+        const shifted = new Date(date);
+        shifted.setHours(shifted.getHours() - this.settings.dayStartHour);
+        return this.formatDateKey(shifted);
+    }
+
+    /**
+     * Format the local calendar date of a Date as YYYY-MM-DD
+     * @param {Date} date - The date
+     */
+    formatDateKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Get a timestamp on a log day, keeping the time of day of another date
+     * @param {string} dateKey - The date key
+     * @param {Date} time - Source of the time of day
+     */
+    getTimestampForDateKey(dateKey, time = new Date()) {
+        const date = this.parseDateKey(dateKey);
+        date.setHours(time.getHours(), time.getMinutes(), time.getSeconds(), 0);
+        // Early-morning times before the day start belong to the next calendar date
+        if (time.getHours() < this.settings.dayStartHour) {
+            date.setDate(date.getDate() + 1);
+        }
+        return date;
+    }
+
+    /**
+     * Check if a string is a well-formed date key (YYYY-MM-DD)
+     * @param {string} dateKey - The date key
+     */
+    isValidDateKey(dateKey) {
+        return typeof dateKey === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateKey) &&
+            this.formatDateKey(this.parseDateKey(dateKey)) === dateKey;
+    }
+
+    /**
+     * Convert a date key back to a Date (local midday of that calendar date)
+     * @param {string} dateKey - The date key (YYYY-MM-DD)
+     */
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day, 12);
+    }
+
+    /**
+     * Get the date key a number of days before or after another
+     * @param {string} dateKey - The starting date key
+     * @param {number} days - Days to shift (negative for the past)
+     */
+    shiftDateKey(dateKey, days) {
+        const date = this.parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return this.formatDateKey(date);
+    }
+
+    /**
+     * Guess the meal slot from the time of day
+     * @param {Date} date - The time the food was eaten
+     */
+    guessMealSlot(date = new Date()) {
+        const hour = date.getHours();
+        if (hour >= 5 && hour < 11) return 'breakfast';
+        if (hour >= 11 && hour < 15) return 'lunch';
+        if (hour >= 17 && hour < 22) return 'dinner';
+        return 'snacks';
+    }
+
+    /**
+     * Check if a value is a known meal slot id
+     * @param {string} slot - The slot id
+     */
+    isValidMealSlot(slot) {
+        return this.mealSlots.some(s => s.id === slot);
+    }
+
+    /**
+     * Get the meal slot of a logged item (older entries have none stored)
+     * @param {object} item - The logged item
+     */
+    getMealSlot(item) {
+        if (this.isValidMealSlot(item.mealSlot)) return item.mealSlot;
+        return this.guessMealSlot(item.timestamp ? new Date(item.timestamp) : new Date());
+    }
+
+    /**
+     * Group items by meal slot, in slot order, with a subtotal per slot
+     * @param {array} items - Array of food items
+     */
+    groupByMealSlot(items) {
+        return this.mealSlots.map(slot => {
+            const slotItems = items.filter(item => this.getMealSlot(item) === slot.id);
+            return {
+                ...slot,
+                items: slotItems,
+                totals: this.calculateTotals(slotItems)
+            };
+        });
+    }
+
+    /**
+     * Get all log data, keyed by date
+     */
+    async getAllData() {
+        return this.storage.getAll();
+    }
+
+    /**
+     * Get log data for a range of days, keyed by date
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     */
+    async getRangeData(startKey, endKey) {
+        return this.storage.getRange(startKey, endKey);
+    }
+
+    /**
+     * Replace all log data
+     * Entries other tabs added in the meantime are lost - use applyChanges for edits.
+     * @param {object} data - The data to save, keyed by date
+     */
+    async saveAllData(data) {
+        await this.storage.replaceAll(data);
+    }
+
+    /**
+     * Add, move and delete entries together without touching any others
+     * @param {object} changes - { put: [{ dateKey, item }], remove: [{ itemId, dateKey }] }
+     */
+    async applyChanges(changes) {
+        await this.storage.applyChanges(changes);
+    }
+
     /**
      * Add an item to the food log
-     * @param {object} item - The food item to add
+     * Macros are per serving and quantity is the number of servings
+     * @param {object} item - The food item to add (mealSlot is guessed when missing)
+     * @param {string} dateKey - Optional date key; defaults to today
      */
-    addItem(item) {
-        const data = this.getAllData();
-        const dateKey = this.getDateKey();
+    async addItem(item, dateKey = null) {
+        const { dateKey: key, entry } = this.createEntry(item, dateKey);
+        await this.storage.putItem(key, entry);
+        return entry;
+    }
 
-        if (!data[dateKey]) {
-            data[dateKey] = [];
+    /**
+     * Add several items to the same day in one write
+     * @param {array} items - The food items to add
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @returns {Promise<array>} The new entries
+     */
+    async addItems(items, dateKey = null) {
+        const created = items.map(item => this.createEntry(item, dateKey));
+        await this.storage.applyChanges({ put: created.map(({ dateKey: key, entry }) => ({ dateKey: key, item: entry })) });
+        return created.map(({ entry }) => entry);
+    }
+
+    /**
+     * Copy entries to another day in one write
+     * Copies get fresh ids and timestamps on the target day, keeping each
+     * entry's time of day and meal slot.
+     * @param {array} entries - Log entries to copy
+     * @param {string} toDateKey - The day to copy to
+     * @returns {Promise<array>} The new entries
+     */
+    async copyEntries(entries, toDateKey) {
+        const created = entries.map(item => {
+            // Tags describe the original meal, not the food, so copies start without them
+            const { entry } = this.createEntry({ ...item, tags: null }, toDateKey);
+            const time = new Date(item.timestamp);
+            if (!isNaN(time)) entry.timestamp = this.getTimestampForDateKey(toDateKey, time).toISOString();
+            return entry;
+        });
+        if (created.length === 0) return created;
+        await this.storage.applyChanges({ put: created.map(entry => ({ dateKey: toDateKey, item: entry })) });
+        return created;
+    }
+
+    /**
+     * Copy every entry of one day to another
+     * @param {string} fromDateKey - The day to copy from
+     * @param {string} toDateKey - The day to copy to
+     * @returns {Promise<array>} The new entries
+     */
+    async copyDay(fromDateKey, toDateKey) {
+        return this.copyEntries(await this.getItems(fromDateKey), toDateKey);
+    }
+
+    /**
+     * Copy the previous day's entries onto a day
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @returns {Promise<array>} The new entries
+     */
+    async copyYesterday(dateKey = null) {
+        const key = dateKey || this.getDateKey();
+        return this.copyDay(this.shiftDateKey(key, -1), key);
+    }
+
+    /**
+     * Build a new log entry with a fresh id and timestamp
+     * @param {object} item - The food item (mealSlot is guessed when missing)
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @returns {{ dateKey: string, entry: object }}
+     */
+    createEntry(item, dateKey = null) {
+        let now = new Date();
+        if (dateKey && dateKey !== this.getDateKey(now)) {
+            // Back-filled entries keep the current time of day on the chosen date
+            now = this.getTimestampForDateKey(dateKey, now);
+        } else {
+            dateKey = this.getDateKey(now);
         }
 
         const logEntry = {
-            id: Date.now().toString(),
+            id: this.createId(),
             name: item.name,
             type: item.type || 'meal', // 'meal' or 'product'
+            sourceId: item.sourceId || null, // barcode for products, recipe id for meals
             image: item.image || null,
             calories: item.calories || 0,
             protein: item.protein || 0,
             carbs: item.carbs || 0,
             fat: item.fat || 0,
+            ...this.getMicronutrients(item),
             quantity: item.quantity || 1,
-            timestamp: new Date().toISOString()
+            mealSlot: this.isValidMealSlot(item.mealSlot) ? item.mealSlot : this.guessMealSlot(now),
+            tags: this.normalizeTags(item.tags),
+            timestamp: now.toISOString()
         };
 
-        data[dateKey].push(logEntry);
-        this.saveAllData(data);
-        return logEntry;
+        return { dateKey, entry: logEntry };
+    }
+
+    /**
+     * Micronutrients of a food item, missing ones as 0
+     * @param {object} item - Food item or log entry
+     */
+    getMicronutrients(item) {
+        return Object.fromEntries(this.micronutrients.map(n => [n.id, Math.max(0, Number(item[n.id]) || 0)]));
+    }
+
+    /**
+     * Keep only known tags and options
+     * @param {object} tags - { hunger, mood, location, ateOut }
+     * @returns {object} Valid tags; empty when there are none
+     */
+    normalizeTags(tags) {
+        if (!tags || typeof tags !== 'object') return {};
+        const clean = {};
+        this.entryTags.forEach(tag => {
+            const value = tags[tag.id] == null ? '' : String(tags[tag.id]);
+            if (tag.options.some(o => o.id === value)) clean[tag.id] = value;
+        });
+        if (tags.ateOut === true) clean.ateOut = true;
+        return clean;
+    }
+
+    /**
+     * Readable labels for an entry's tags, e.g. ['Hungry', 'Stressed', 'Ate out']
+     * @param {object} tags - Entry tags
+     */
+    getTagLabels(tags) {
+        const labels = this.entryTags
+            .map(tag => tag.options.find(o => o.id === tags?.[tag.id])?.label)
+            .filter(Boolean);
+        if (tags?.ateOut) labels.push('Ate out');
+        return labels;
+    }
+
+    /**
+     * Whether an entry has a tag
+     * @param {object} item - Log entry
+     * @param {object} filter - { tagId, value }; tagId 'ateOut' matches entries eaten out
+     */
+    hasTag(item, filter) {
+        if (filter.tagId === 'ateOut') return item.tags?.ateOut === true;
+        return item.tags?.[filter.tagId] === filter.value;
+    }
+
+    /**
+     * Read all day notes
+     * @returns {object} Note text keyed by date key
+     */
+    getDayNotes() {
+        try {
+            const notes = JSON.parse(localStorage.getItem(this.notesKey));
+            return notes && typeof notes === 'object' ? notes : {};
+        } catch (error) {
+            console.error('Error reading day notes:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Journal note for a day
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getDayNote(dateKey = null) {
+        return this.getDayNotes()[dateKey || this.getDateKey()] || '';
+    }
+
+    /**
+     * Save the journal note for a day; empty text deletes it
+     * @param {string} dateKey - The day
+     * @param {string} text - The note
+     * @returns {string} The note it replaced
+     */
+    setDayNote(dateKey, text) {
+        const notes = this.getDayNotes();
+        const previous = notes[dateKey] || '';
+        const note = String(text || '').trim();
+        if (note) notes[dateKey] = note;
+        else delete notes[dateKey];
+        this.saveDayNotes(notes);
+        this.storage.notifyChange([dateKey]);
+        return previous;
+    }
+
+    /**
+     * Add notes from a backup; a note in the backup replaces the one on the same day
+     * @param {object} incoming - Note text keyed by date key
+     * @param {boolean} replace - Delete notes the backup doesn't have first
+     * @returns {number} Notes restored
+     */
+    mergeDayNotes(incoming, replace = false) {
+        const valid = Object.entries(incoming || {}).filter(([dateKey, text]) => this.isValidDateKey(dateKey) && typeof text === 'string' && text.trim());
+        if (valid.length === 0 && !replace) return 0;
+        const notes = replace ? {} : this.getDayNotes();
+        valid.forEach(([dateKey, text]) => { notes[dateKey] = text.trim(); });
+        this.saveDayNotes(notes);
+        this.storage.notifyChange(replace ? null : valid.map(([dateKey]) => dateKey));
+        return valid.length;
+    }
+
+    /**
+     * @param {object} notes - Note text keyed by date key
+     */
+    saveDayNotes(notes) {
+        try {
+            localStorage.setItem(this.notesKey, JSON.stringify(notes));
+        } catch (error) {
+            console.error('Error saving day notes:', error);
+        }
     }
 
     /**
@@ -81,51 +736,111 @@ export class FoodLog {
      * @param {string} itemId - The item ID to remove
      * @param {string} dateKey - Optional date key
      */
-    removeItem(itemId, dateKey = null) {
-        const data = this.getAllData();
+    async removeItem(itemId, dateKey = null) {
+        await this.storage.deleteItem(itemId, dateKey || this.getDateKey());
+    }
+
+    /**
+     * Update a logged item in place
+     * Macros are per serving; quantity is the number of servings.
+     * Changing the timestamp to another day moves the item to that day.
+     * @param {string} itemId - The item ID to update
+     * @param {object} patch - Fields to change (name, quantity, calories, protein, carbs, fat, micronutrients, mealSlot, tags, timestamp)
+     * @param {string} dateKey - Optional date key the item is currently stored under
+     */
+    async updateItem(itemId, patch, dateKey = null) {
         const key = dateKey || this.getDateKey();
+        const items = await this.storage.getDay(key);
+        const existing = items.find(item => item.id === itemId);
+        if (!existing) return null;
+
+        const updated = { ...existing };
+        if (typeof patch.name === 'string' && patch.name.trim()) {
+            updated.name = patch.name.trim();
+        }
+        ['calories', 'protein', 'carbs', 'fat', ...this.micronutrients.map(n => n.id)].forEach(field => {
+            if (patch[field] !== undefined) {
+                updated[field] = Math.max(0, Number(patch[field]) || 0);
+            }
+        });
+        if (patch.quantity !== undefined) {
+            updated.quantity = Number(patch.quantity) > 0 ? Number(patch.quantity) : 1;
+        }
+        if (this.isValidMealSlot(patch.mealSlot)) {
+            updated.mealSlot = patch.mealSlot;
+        }
+        if (patch.tags !== undefined) {
+            updated.tags = this.normalizeTags(patch.tags);
+        }
 
-        if (data[key]) {
-            data[key] = data[key].filter(item => item.id !== itemId);
-            this.saveAllData(data);
+        let targetKey = key;
+        if (patch.timestamp) {
+            const time = new Date(patch.timestamp);
+            if (!isNaN(time)) {
+                updated.timestamp = time.toISOString();
+                targetKey = this.getDateKey(time);
+            }
         }
+
+        // Moving to another day is a single change so other tabs never see it half done
+        await this.storage.applyChanges({
+            put: [{ dateKey: targetKey, item: updated }],
+            remove: targetKey !== key ? [{ itemId, dateKey: key }] : []
+        });
+        return updated;
     }
 
     /**
      * Get items for today
      */
-    getTodayItems() {
-        const data = this.getAllData();
-        const dateKey = this.getDateKey();
-        return data[dateKey] || [];
+    async getTodayItems() {
+        return this.getItems();
+    }
+
+    /**
+     * Get items for a date key
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    async getItems(dateKey = null) {
+        return this.storage.getDay(dateKey || this.getDateKey());
     }
 
     /**
      * Get items for a specific date
      * @param {Date} date - The date
      */
-    getItemsByDate(date) {
-        const data = this.getAllData();
-        const dateKey = this.getDateKey(date);
-        return data[dateKey] || [];
+    async getItemsByDate(date) {
+        return this.getItems(this.getDateKey(date));
     }
 
     /**
      * Clear all items for today
      */
-    clearToday() {
-        const data = this.getAllData();
-        const dateKey = this.getDateKey();
-        delete data[dateKey];
-        this.saveAllData(data);
+    async clearToday() {
+        await this.clearDay();
+    }
+
+    /**
+     * Clear all items for a date key
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    async clearDay(dateKey = null) {
+        await this.storage.clearDay(dateKey || this.getDateKey());
     }
 
     /**
      * Get totals for today
      */
-    getTodayTotals() {
-        const items = this.getTodayItems();
-        return this.calculateTotals(items);
+    async getTodayTotals() {
+        return this.getTotals();
+    }
+
+    /**
+     * Get totals for a date key
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    async getTotals(dateKey = null) {
+        return this.calculateTotals(await this.getItems(dateKey));
     }
 
     /**
@@ -133,59 +848,149 @@ export class FoodLog {
      * @param {array} items - Array of food items
      */
     calculateTotals(items) {
-        return items.reduce((totals, item) => {
+        const fields = ['calories', 'protein', 'carbs', 'fat', ...this.micronutrients.map(n => n.id)];
+        const totals = Object.fromEntries(fields.map(field => [field, 0]));
+        items.forEach(item => {
             const qty = item.quantity || 1;
-            return {
-                calories: totals.calories + (item.calories * qty),
-                protein: totals.protein + (item.protein * qty),
-                carbs: totals.carbs + (item.carbs * qty),
-                fat: totals.fat + (item.fat * qty)
-            };
-        }, { calories: 0, protein: 0, carbs: 0, fat: 0 });
+            fields.forEach(field => {
+                totals[field] += (item[field] || 0) * qty;
+            });
+        });
+        return totals;
     }
 
     /**
      * Get weekly data for chart
+     * @param {string} endDateKey - Optional last day of the week; defaults to today
      */
-    getWeeklyData() {
-        const data = this.getAllData();
-        const weekData = [];
+    async getWeeklyData(endDateKey = null) {
+        const endKey = endDateKey || this.getDateKey();
+        return this.getDailyData(this.shiftDateKey(endKey, -6), endKey);
+    }
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            const dateKey = this.getDateKey(date);
+    /**
+     * Totals, burn and targets for every day in a range, oldest first
+     * Reads the range in one query and sums each entry once, so long ranges stay cheap.
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     */
+    async getDailyData(startKey, endKey) {
+        return this.summarizeDays(await this.getRangeData(startKey, endKey), startKey, endKey);
+    }
+
+    /**
+     * Totals, burn and targets for every day in a range of already loaded log data
+     * @param {object} data - Log data keyed by date
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     */
+    summarizeDays(data, startKey, endKey) {
+        const burnedByDay = this.exerciseLog ? this.exerciseLog.getDailyBurned() : {};
+        const days = [];
+
+        for (let dateKey = startKey; dateKey <= endKey; dateKey = this.shiftDateKey(dateKey, 1)) {
+            const date = this.parseDateKey(dateKey);
             const items = data[dateKey] || [];
             const totals = this.calculateTotals(items);
+            const burned = burnedByDay[dateKey] || 0;
 
-            weekData.push({
+            days.push({
                 date: dateKey,
                 dayName: date.toLocaleDateString('en-US', { weekday: 'short' }),
-                ...totals
+                itemCount: items.length,
+                targets: this.getTargets(dateKey),
+                ...totals,
+                burned,
+                // Calories that count against the target in the current mode
+                counted: this.countCalories(totals.calories, burned)
             });
         }
 
-        return weekData;
+        return days;
+    }
+
+    /**
+     * Distinct foods from the last suggestionDays days, for quick re-logging
+     * Reads only that range, so it stays cheap however long the log grows.
+     * Foods are the same when name, type and barcode/meal id match; each keeps
+     * the nutrition and quantity it was last logged with.
+     * @param {number} limit - Max foods per list
+     * @returns {Promise<{ recent: array, frequent: array }>} Foods with count and lastUsed
+     */
+    async getFoodSuggestions(limit = 8) {
+        const foods = new Map();
+        const endKey = this.getDateKey();
+        const data = await this.getRangeData(this.shiftDateKey(endKey, -(this.suggestionDays - 1)), endKey);
+        Object.values(data).forEach(items => {
+            items.forEach(item => {
+                const key = this.getFoodKey(item);
+                const food = foods.get(key);
+                if (!food) {
+                    foods.set(key, { key, count: 1, lastUsed: item.timestamp, entry: item });
+                    return;
+                }
+                food.count++;
+                if ((item.timestamp || '') > (food.lastUsed || '')) {
+                    food.lastUsed = item.timestamp;
+                    food.entry = item;
+                }
+            });
+        });
+
+        const list = [...foods.values()].map(({ key, count, lastUsed, entry }) => ({
+            key,
+            count,
+            lastUsed,
+            name: entry.name,
+            type: entry.type,
+            sourceId: entry.sourceId || null,
+            image: entry.image || null,
+            calories: entry.calories,
+            protein: entry.protein,
+            carbs: entry.carbs,
+            fat: entry.fat,
+            ...this.getMicronutrients(entry),
+            quantity: entry.quantity || 1
+        }));
+        const byRecent = (a, b) => (b.lastUsed || '').localeCompare(a.lastUsed || '');
+        return {
+            recent: [...list].sort(byRecent).slice(0, limit),
+            // Only foods logged more than once count as frequent
+            frequent: list.filter(f => f.count > 1).sort((a, b) => b.count - a.count || byRecent(a, b)).slice(0, limit)
+        };
+    }
+
+    /**
+     * Key that identifies the same food across entries
+     * @param {object} item - Log entry
+     */
+    getFoodKey(item) {
+        return [(item.name || '').trim().toLowerCase(), item.type || '', item.sourceId || ''].join('|');
     }
 
     /**
      * Check if user exceeded daily calorie limit
+     * @param {string} dateKey - Optional date key; defaults to today
      */
-    isCalorieExceeded() {
-        const totals = this.getTodayTotals();
-        return totals.calories > this.dailyTargets.calories;
+    async isCalorieExceeded(dateKey = null) {
+        const totals = await this.getTotals(dateKey);
+        return this.countCalories(totals.calories, this.getBurned(dateKey)) > this.getTargets(dateKey).calories;
     }
 
     /**
      * Get progress percentages for each nutrient
+     * @param {string} dateKey - Optional date key; defaults to today
      */
-    getProgress() {
-        const totals = this.getTodayTotals();
+    async getProgress(dateKey = null) {
+        const totals = await this.getTotals(dateKey);
+        const targets = this.getTargets(dateKey);
+        // A macro target can be set to 0 in an override
+        const percent = (value, target) => target > 0 ? Math.min(100, (value / target) * 100) : 0;
         return {
-            calories: Math.min(100, (totals.calories / this.dailyTargets.calories) * 100),
-            protein: Math.min(100, (totals.protein / this.dailyTargets.protein) * 100),
-            carbs: Math.min(100, (totals.carbs / this.dailyTargets.carbs) * 100),
-            fat: Math.min(100, (totals.fat / this.dailyTargets.fat) * 100)
+            calories: percent(this.countCalories(totals.calories, this.getBurned(dateKey)), targets.calories),
+            protein: percent(totals.protein, targets.protein),
+            carbs: percent(totals.carbs, targets.carbs),
+            fat: percent(totals.fat, targets.fat)
         };
     }
 
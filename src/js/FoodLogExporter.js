@@ -0,0 +1,124 @@
+/**
+ * FoodLogExporter - Turns the stored food log into downloadable files
+ * JSON is a lossless backup (entries, schema version, settings, targets, water and day notes);
+ * CSV is a flat table with one row per entry for spreadsheets.
+ */
+export class FoodLogExporter {
+    constructor(foodLog, water = null) {
+        this.foodLog = foodLog;
+        this.water = water;
+        this.format = 'nutriplan-foodlog';
+        this.csvColumns = ['date', 'time', 'name', 'type', 'quantity', 'kcal', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium_mg', 'saturated_fat'];
+        this.waterCsvColumns = ['date', 'time', 'ml'];
+    }
+
+    /**
+     * Full backup of the food log
+     */
+    async buildBackup() {
+        const profile = this.foodLog.profile;
+        return {
+            format: this.format,
+            schemaVersion: this.foodLog.schemaVersion,
+            exportedAt: new Date().toISOString(),
+            settings: { ...this.foodLog.settings },
+            targets: {
+                daily: { ...this.foodLog.dailyTargets },
+                weekday: { ...(profile?.data.weekdayTargets || {}) },
+                periods: [...(profile?.data.targetPeriods || [])]
+            },
+            profile: profile ? { ...profile.data } : null,
+            water: this.water ? this.water.load() : null,
+            notes: this.foodLog.getDayNotes(),
+            days: await this.foodLog.getAllData()
+        };
+    }
+
+    /**
+     * Full backup as a JSON string
+     */
+    async toJSON() {
+        return JSON.stringify(await this.buildBackup(), null, 2);
+    }
+
+    /**
+     * All entries as CSV, oldest first
+     * Nutrient columns are totals for the logged quantity.
+     */
+    async toCSV() {
+        const days = await this.foodLog.getAllData();
+        const round = n => Math.round((n || 0) * 10) / 10;
+        const rows = [this.csvColumns.join(',')];
+
+        Object.keys(days).sort().forEach(dateKey => {
+            days[dateKey].forEach(item => {
+                const qty = item.quantity || 1;
+                rows.push([
+                    dateKey,
+                    this.formatTime(item.timestamp),
+                    item.name,
+                    item.type,
+                    qty,
+                    round(item.calories * qty),
+                    round(item.protein * qty),
+                    round(item.carbs * qty),
+                    round(item.fat * qty),
+                    round(item.fiber * qty),
+                    round(item.sugar * qty),
+                    round(item.sodium * qty),
+                    round(item.saturatedFat * qty)
+                ].map(value => this.escapeCSV(value)).join(','));
+            });
+        });
+
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * All water entries as CSV, oldest first
+     */
+    toWaterCSV() {
+        const entries = [...(this.water?.load().entries || [])].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        const rows = [this.waterCsvColumns.join(',')];
+        entries.forEach(entry => {
+            rows.push([
+                this.foodLog.getEntryDateKey(entry, ''),
+                this.formatTime(entry.timestamp),
+                entry.ml
+            ].map(value => this.escapeCSV(value)).join(','));
+        });
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Local HH:MM of a timestamp
+     * @param {string} timestamp - ISO timestamp
+     */
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date)) return '';
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula.
+     * @param {*} value - The field value
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * File name for an export
+     * @param {string} extension - 'json' or 'csv'
+     * @param {string} name - What is exported, e.g. 'water'
+     */
+    getFileName(extension, name = 'foodlog') {
+        return `nutriplan-${name}-${this.foodLog.getDateKey()}.${extension}`;
+    }
+}
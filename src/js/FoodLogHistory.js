@@ -0,0 +1,240 @@
+/**
+ * FoodLogHistory - Undo/redo for food log changes
+ * Each change is recorded as a command with undo and redo steps. Entries keep
+ * their ids through undo/redo, and days are worked out from timestamps when a
+ * step runs, so steps still apply after the day start hour has changed.
+ */
+export class FoodLogHistory {
+    constructor(foodLog, limit = 50) {
+        this.foodLog = foodLog;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        // Called after the stacks change
+        this.onChange = null;
+        // Called with the new entries after food is added or copied
+        this.onItemsAdded = null;
+    }
+
+    /**
+     * Record a command that has already been done
+     * @param {object} command - { label, undo: async fn, redo: async fn }
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        if (this.onChange) this.onChange();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the last command
+     * @returns {Promise<object|null>} The command, or null when there was nothing to undo
+     */
+    async undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        try {
+            await command.undo();
+            this.redoStack.push(command);
+        } catch (error) {
+            console.error(`Error undoing "${command.label}":`, error);
+            this.undoStack.push(command);
+            throw error;
+        } finally {
+            if (this.onChange) this.onChange();
+        }
+        return command;
+    }
+
+    /**
+     * Redo the last undone command
+     * @returns {Promise<object|null>} The command, or null when there was nothing to redo
+     */
+    async redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        try {
+            await command.redo();
+            this.undoStack.push(command);
+        } catch (error) {
+            console.error(`Error redoing "${command.label}":`, error);
+            this.redoStack.push(command);
+            throw error;
+        } finally {
+            if (this.onChange) this.onChange();
+        }
+        return command;
+    }
+
+    /**
+     * Put entries back exactly as they were (same ids)
+     * @param {array} entries - Log entries
+     * @param {string} fallbackKey - Day for entries without a readable timestamp
+     */
+    async restoreEntries(entries, fallbackKey) {
+        await this.foodLog.applyChanges({
+            put: entries.map(item => ({ dateKey: this.foodLog.getEntryDateKey(item, fallbackKey), item }))
+        });
+    }
+
+    /**
+     * Delete entries by id
+     * @param {array} entries - Log entries
+     * @param {string} fallbackKey - Day for entries without a readable timestamp
+     */
+    async deleteEntries(entries, fallbackKey) {
+        await this.foodLog.applyChanges({
+            remove: entries.map(item => ({ itemId: item.id, dateKey: this.foodLog.getEntryDateKey(item, fallbackKey) }))
+        });
+    }
+
+    /**
+     * Swap one version of an entry for another, which may be filed under another day
+     * @param {object} current - The stored version
+     * @param {object} replacement - The version to store
+     * @param {string} fallbackKey - Day for entries without a readable timestamp
+     */
+    async replaceEntry(current, replacement, fallbackKey) {
+        const fromKey = this.foodLog.getEntryDateKey(current, fallbackKey);
+        const toKey = this.foodLog.getEntryDateKey(replacement, fallbackKey);
+        await this.foodLog.applyChanges({
+            put: [{ dateKey: toKey, item: replacement }],
+            remove: fromKey !== toKey ? [{ itemId: current.id, dateKey: fromKey }] : []
+        });
+    }
+
+    /**
+     * Add an item, recording it for undo
+     * @param {object} item - The food item to add
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @returns {Promise<object>} The new entry
+     */
+    async addItem(item, dateKey = null) {
+        const entry = await this.foodLog.addItem(item, dateKey);
+        const key = this.foodLog.getEntryDateKey(entry, dateKey);
+        this.push({
+            label: `Add ${entry.name}`,
+            undo: () => this.deleteEntries([entry], key),
+            redo: () => this.restoreEntries([entry], key)
+        });
+        if (this.onItemsAdded) this.onItemsAdded([entry]);
+        return entry;
+    }
+
+    /**
+     * Add several items as one undoable change
+     * @param {array} items - The food items to add
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @param {string} label - Optional description, e.g. the template name
+     * @returns {Promise<array>} The new entries
+     */
+    async addItems(items, dateKey = null, label = null) {
+        const entries = await this.foodLog.addItems(items, dateKey);
+        const key = dateKey || this.foodLog.getDateKey();
+        this.push({
+            label: label || `Add ${entries.length} items`,
+            undo: () => this.deleteEntries(entries, key),
+            redo: () => this.restoreEntries(entries, key)
+        });
+        if (this.onItemsAdded) this.onItemsAdded(entries);
+        return entries;
+    }
+
+    /**
+     * Copy entries to another day as one undoable change
+     * @param {array} entries - Log entries to copy
+     * @param {string} toDateKey - The day to copy to
+     * @param {string} label - Optional description
+     * @returns {Promise<array>} The new entries
+     */
+    async copyEntries(entries, toDateKey, label = null) {
+        const copies = await this.foodLog.copyEntries(entries, toDateKey);
+        if (copies.length === 0) return copies;
+        this.push({
+            label: label || `Copy ${copies.length} items`,
+            undo: () => this.deleteEntries(copies, toDateKey),
+            redo: () => this.restoreEntries(copies, toDateKey)
+        });
+        if (this.onItemsAdded) this.onItemsAdded(copies);
+        return copies;
+    }
+
+    /**
+     * Copy a whole day as one undoable change
+     * @param {string} fromDateKey - The day to copy from
+     * @param {string} toDateKey - The day to copy to
+     * @returns {Promise<array>} The new entries
+     */
+    async copyDay(fromDateKey, toDateKey) {
+        return this.copyEntries(await this.foodLog.getItems(fromDateKey), toDateKey, `Copy ${fromDateKey}`);
+    }
+
+    /**
+     * Remove an item, recording it for undo
+     * @param {string} itemId - The item ID to remove
+     * @param {string} dateKey - Optional date key
+     * @returns {Promise<object|null>} The removed entry, or null when it wasn't found
+     */
+    async removeItem(itemId, dateKey = null) {
+        const key = dateKey || this.foodLog.getDateKey();
+        const entry = (await this.foodLog.getItems(key)).find(item => item.id === itemId);
+        if (!entry) return null;
+        await this.foodLog.removeItem(itemId, key);
+        this.push({
+            label: `Delete ${entry.name}`,
+            undo: () => this.restoreEntries([entry], key),
+            redo: () => this.deleteEntries([entry], key)
+        });
+        return entry;
+    }
+
+    /**
+     * Update an item, recording it for undo
+     * @param {string} itemId - The item ID to update
+     * @param {object} patch - Fields to change
+     * @param {string} dateKey - Optional date key the item is currently stored under
+     * @returns {Promise<object|null>} The updated entry, or null when it wasn't found
+     */
+    async updateItem(itemId, patch, dateKey = null) {
+        const key = dateKey || this.foodLog.getDateKey();
+        const before = (await this.foodLog.getItems(key)).find(item => item.id === itemId);
+        if (!before) return null;
+        const after = await this.foodLog.updateItem(itemId, patch, key);
+        if (!after) return null;
+        this.push({
+            label: `Edit ${before.name}`,
+            undo: () => this.replaceEntry(after, before, key),
+            redo: () => this.replaceEntry(before, after, key)
+        });
+        return after;
+    }
+
+    /**
+     * Clear a day, recording it for undo
+     * Redo deletes only the entries that were cleared, not ones added since.
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @returns {Promise<array>} The cleared entries
+     */
+    async clearDay(dateKey = null) {
+        const key = dateKey || this.foodLog.getDateKey();
+        const entries = await this.foodLog.getItems(key);
+        if (entries.length === 0) return entries;
+        await this.foodLog.clearDay(key);
+        this.push({
+            label: `Clear ${entries.length} entries`,
+            undo: () => this.restoreEntries(entries, key),
+            redo: () => this.deleteEntries(entries, key)
+        });
+        return entries;
+    }
+}
@@ -0,0 +1,410 @@
+/**
+ * FoodLogImporter - Reads NutriPlan JSON backups and CSV exports from other trackers
+ * Importing is planned first (new entries, duplicates, conflicts, rows with errors)
+ * so the user can review it, then applied in merge or replace mode.
+ */
+import { runMigrations } from './storage/migrations.js?v=1.13';
+
+export class FoodLogImporter {
+    constructor(foodLog) {
+        this.foodLog = foodLog;
+        this.format = 'nutriplan-foodlog';
+        // Fields a CSV column can be mapped to, with header names other trackers use for them
+        this.csvFields = [
+            { id: 'date', label: 'Date', required: true, aliases: ['date', 'day'] },
+            { id: 'time', label: 'Time', aliases: ['time'] },
+            { id: 'name', label: 'Food name', aliases: ['name', 'food', 'food name', 'description', 'item'] },
+            { id: 'mealSlot', label: 'Meal', aliases: ['meal', 'meal slot', 'meal type'] },
+            { id: 'type', label: 'Type', aliases: ['type'] },
+            { id: 'quantity', label: 'Servings', aliases: ['quantity', 'servings', 'qty', 'number of servings'] },
+            { id: 'calories', label: 'Calories (total)', required: true, aliases: ['kcal', 'calories', 'energy'] },
+            { id: 'protein', label: 'Protein (g, total)', aliases: ['protein'] },
+            { id: 'carbs', label: 'Carbs (g, total)', aliases: ['carbs', 'carbohydrates', 'carbohydrate'] },
+            { id: 'fat', label: 'Fat (g, total)', aliases: ['fat', 'total fat'] },
+            { id: 'fiber', label: 'Fiber (g, total)', aliases: ['fiber', 'fibre', 'dietary fiber'] },
+            { id: 'sugar', label: 'Sugar (g, total)', aliases: ['sugar', 'sugars'] },
+            { id: 'sodium', label: 'Sodium (mg, total)', aliases: ['sodium', 'sodium mg'] },
+            { id: 'saturatedFat', label: 'Saturated fat (g, total)', aliases: ['saturated fat', 'saturated', 'sat fat'] }
+        ];
+        this.dateFormats = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+        // Time used for CSV rows without one
+        this.defaultSlotTimes = { breakfast: 8, lunch: 13, dinner: 19, snacks: 16 };
+    }
+
+    /**
+     * Read a NutriPlan JSON backup
+     * @param {string} text - File contents
+     * @returns {{ days: object, errors: array, backup: object }} Entries regrouped under current settings
+     */
+    parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not valid JSON');
+        }
+        if (!backup || backup.format !== this.format || !backup.days || typeof backup.days !== 'object') {
+            throw new Error('This is not a NutriPlan food log backup');
+        }
+        const version = Number(backup.schemaVersion) || 0;
+        if (version > this.foodLog.schemaVersion) {
+            throw new Error('This backup was made by a newer version of NutriPlan');
+        }
+
+        const result = runMigrations(backup.days, version, this.foodLog);
+        if (result.error) {
+            throw new Error('This backup could not be upgraded to the current format');
+        }
+
+        const days = {};
+        const errors = [];
+        Object.entries(result.days).forEach(([dateKey, items]) => {
+            if (!Array.isArray(items)) return;
+            items.forEach((item, index) => {
+                const entry = this.normalizeEntry(item, dateKey);
+                if (!entry) {
+                    errors.push({ row: `${dateKey} #${index + 1}`, message: 'Missing name or calories' });
+                    return;
+                }
+                if (!days[dateKey]) days[dateKey] = [];
+                days[dateKey].push(entry);
+            });
+        });
+
+        return { days: this.foodLog.regroupByTimestamp(days), errors, backup };
+    }
+
+    /**
+     * Check and complete an entry from a backup
+     * Only known fields are kept, since a backup file can hold anything.
+     * @param {object} item - The stored entry
+     * @param {string} dateKey - The day it was stored under
+     * @returns {object|null} Null when the entry is unusable
+     */
+    normalizeEntry(item, dateKey) {
+        if (!item || typeof item.name !== 'string' || !item.name.trim() || !isFinite(item.calories)) return null;
+        const time = new Date(item.timestamp);
+        const timestamp = isNaN(time)
+            ? (this.foodLog.isValidDateKey(dateKey) ? this.foodLog.parseDateKey(dateKey).toISOString() : null)
+            : time.toISOString();
+        if (!timestamp) return null;
+
+        return {
+            id: /^[\w-]+$/.test(String(item.id ?? '')) ? String(item.id) : this.foodLog.createId(),
+            name: item.name.trim(),
+            type: ['meal', 'product', 'custom'].includes(item.type) ? item.type : 'custom',
+            sourceId: item.sourceId ? String(item.sourceId) : null,
+            image: this.normalizeImage(item.image),
+            calories: Number(item.calories) || 0,
+            protein: Number(item.protein) || 0,
+            carbs: Number(item.carbs) || 0,
+            fat: Number(item.fat) || 0,
+            ...this.foodLog.getMicronutrients(item),
+            quantity: Number(item.quantity) > 0 ? Number(item.quantity) : 1,
+            mealSlot: this.foodLog.isValidMealSlot(item.mealSlot) ? item.mealSlot : this.foodLog.guessMealSlot(new Date(timestamp)),
+            tags: this.foodLog.normalizeTags(item.tags),
+            timestamp
+        };
+    }
+
+    /**
+     * Keep an image only when it is an http(s) URL
+     * @param {string} url - Image URL from a backup
+     * @returns {string|null}
+     */
+    normalizeImage(url) {
+        if (typeof url !== 'string') return null;
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Split CSV text into a header row and data rows (RFC 4180 quoting; comma or semicolon separated)
+     * @param {string} text - File contents
+     */
+    parseCSV(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+        if (nonEmpty.length < 2) throw new Error('This CSV file has no data rows');
+        return { headers: nonEmpty[0].map(h => h.trim()), rows: nonEmpty.slice(1) };
+    }
+
+    /**
+     * Guess which column holds each field from the header names
+     * @param {array} headers - CSV header row
+     * @returns {object} Field id -> column index, or -1 when not found
+     */
+    guessMapping(headers) {
+        // "Fat (g)" and "Sodium (mg)" become "fat" and "sodium"
+        const normalized = headers.map(h => h.toLowerCase().replace(/\(.*?\)/g, '').replace(/[_\s]+/g, ' ').trim());
+        const mapping = {};
+        this.csvFields.forEach(field => {
+            mapping[field.id] = normalized.findIndex(h => field.aliases.includes(h));
+        });
+        return mapping;
+    }
+
+    /**
+     * Guess the date format from the first values of the date column
+     * @param {array} rows - CSV data rows
+     * @param {number} column - Index of the date column
+     */
+    guessDateFormat(rows, column) {
+        const values = rows.slice(0, 50).map(r => (r[column] || '').trim()).filter(Boolean);
+        if (values.length === 0 || values.every(v => /^\d{4}[-/]\d{1,2}[-/]\d{1,2}/.test(v))) return 'YYYY-MM-DD';
+        return values.some(v => parseInt(v.split(/[/.-]/)[0]) > 12) ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+    }
+
+    /**
+     * Turn a CSV date into a date key
+     * @param {string} value - The date text
+     * @param {string} format - One of this.dateFormats
+     * @returns {string|null} Null when the date can't be read
+     */
+    parseDate(value, format) {
+        const parts = (value || '').trim().split(/[T\s]/)[0].split(/[-/.]/).map(p => parseInt(p));
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+        const [year, month, day] = {
+            'YYYY-MM-DD': () => parts,
+            'MM/DD/YYYY': () => [parts[2], parts[0], parts[1]],
+            'DD/MM/YYYY': () => [parts[2], parts[1], parts[0]]
+        }[format]();
+        const pad = n => String(n).padStart(2, '0');
+        const dateKey = `${year < 100 ? 2000 + year : year}-${pad(month)}-${pad(day)}`;
+        return this.foodLog.isValidDateKey(dateKey) ? dateKey : null;
+    }
+
+    /**
+     * Turn a CSV time ("13:05", "1:05 PM") into hours and minutes
+     * @param {string} value - The time text
+     * @returns {{ hours: number, minutes: number }|null} Null when there is no readable time
+     */
+    parseTime(value) {
+        const match = (value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+        if (!match) return null;
+        let hours = parseInt(match[1]);
+        const minutes = parseInt(match[2]);
+        const meridiem = match[3]?.[0].toLowerCase();
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+        return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+    }
+
+    /**
+     * Read a CSV number ("1,234.5", "12,5" or "")
+     * @param {string} value - The number text
+     */
+    parseNumber(value) {
+        let text = (value || '').trim();
+        if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) text = text.replace(/,/g, '');
+        else text = text.replace(',', '.');
+        const n = parseFloat(text);
+        return isNaN(n) ? null : n;
+    }
+
+    /**
+     * Map a meal name from another tracker ("Breakfast", "Snack 2") to a meal slot
+     * @param {string} value - The meal text
+     * @returns {string|null} Null when it doesn't match a slot
+     */
+    parseMealSlot(value) {
+        const text = (value || '').trim().toLowerCase();
+        if (text.startsWith('snack')) return 'snacks';
+        if (text === 'supper') return 'dinner';
+        return this.foodLog.isValidMealSlot(text) ? text : null;
+    }
+
+    /**
+     * Build log entries from mapped CSV rows
+     * Nutrient columns are totals for the row, as in NutriPlan's own CSV export.
+     * @param {array} rows - CSV data rows
+     * @param {object} mapping - Field id -> column index (-1 for none)
+     * @param {string} dateFormat - One of this.dateFormats
+     * @returns {{ days: object, errors: array }} errors hold { row, message } with 1-based file line numbers
+     */
+    entriesFromCSV(rows, mapping, dateFormat) {
+        const days = {};
+        const errors = [];
+        const cell = (row, field) => mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '';
+
+        rows.forEach((row, index) => {
+            const line = index + 2;
+            const dateKey = this.parseDate(cell(row, 'date'), dateFormat);
+            if (!dateKey) {
+                errors.push({ row: line, message: `Unreadable date "${cell(row, 'date')}"` });
+                return;
+            }
+            const calories = this.parseNumber(cell(row, 'calories'));
+            if (calories === null || calories < 0) {
+                errors.push({ row: line, message: 'Missing calories' });
+                return;
+            }
+
+            const mealSlot = this.parseMealSlot(cell(row, 'mealSlot'));
+            const time = this.parseTime(cell(row, 'time'));
+            const clock = new Date();
+            clock.setHours(time ? time.hours : this.defaultSlotTimes[mealSlot || 'snacks'], time ? time.minutes : 0, 0, 0);
+            const timestamp = this.foodLog.getTimestampForDateKey(dateKey, clock);
+
+            const quantity = this.parseNumber(cell(row, 'quantity')) > 0 ? this.parseNumber(cell(row, 'quantity')) : 1;
+            const perServing = (field) => Math.round(((this.parseNumber(cell(row, field)) || 0) / quantity) * 10) / 10;
+            const type = cell(row, 'type').toLowerCase();
+            const slotLabel = this.foodLog.mealSlots.find(s => s.id === mealSlot)?.label;
+
+            const entry = {
+                id: this.foodLog.createId(),
+                name: cell(row, 'name') || (slotLabel ? `${slotLabel} (imported)` : 'Imported entry'),
+                type: ['meal', 'product', 'custom'].includes(type) ? type : 'custom',
+                image: null,
+                calories: perServing('calories'),
+                protein: perServing('protein'),
+                carbs: perServing('carbs'),
+                fat: perServing('fat'),
+                fiber: perServing('fiber'),
+                sugar: perServing('sugar'),
+                sodium: perServing('sodium'),
+                saturatedFat: perServing('saturatedFat'),
+                quantity,
+                mealSlot: mealSlot || this.foodLog.guessMealSlot(timestamp),
+                timestamp: timestamp.toISOString()
+            };
+            if (!days[dateKey]) days[dateKey] = [];
+            days[dateKey].push(entry);
+        });
+
+        return { days, errors };
+    }
+
+    /**
+     * Key that identifies the same food logged at the same minute, for entries without a shared id
+     * @param {object} item - Log entry
+     */
+    getSignature(item) {
+        const time = new Date(item.timestamp);
+        const minute = isNaN(time) ? '' : time.toISOString().slice(0, 16);
+        return `${item.name.trim().toLowerCase()}|${minute}|${Math.round(item.calories * (item.quantity || 1))}`;
+    }
+
+    /**
+     * Compare incoming entries with the stored log
+     * @param {object} incomingDays - Entries to import, keyed by date
+     * @param {string} mode - 'merge' keeps existing entries; 'replace' deletes them
+     * @returns {Promise<object>} { mode, incomingDays, added, duplicates, conflicts, removed }
+     */
+    async planImport(incomingDays, mode = 'merge') {
+        const existingDays = await this.foodLog.getAllData();
+        const existingById = new Map();
+        const existingSignatures = new Set();
+        let existingCount = 0;
+        Object.entries(existingDays).forEach(([dateKey, items]) => {
+            items.forEach(item => {
+                existingById.set(item.id, { dateKey, item });
+                existingSignatures.add(this.getSignature(item));
+                existingCount++;
+            });
+        });
+
+        const plan = { mode, incomingDays, added: [], duplicates: [], conflicts: [], removed: 0 };
+        const incoming = Object.entries(incomingDays).flatMap(([dateKey, items]) => items.map(item => ({ dateKey, item })));
+
+        if (mode === 'replace') {
+            plan.added = incoming;
+            plan.removed = existingCount;
+            return plan;
+        }
+
+        incoming.forEach(({ dateKey, item }) => {
+            const existing = existingById.get(item.id);
+            if (existing) {
+                if (this.isSameEntry(existing.item, item) && existing.dateKey === dateKey) plan.duplicates.push({ dateKey, item });
+                else plan.conflicts.push({ dateKey, item, existing: existing.item, existingDateKey: existing.dateKey });
+            } else if (existingSignatures.has(this.getSignature(item))) {
+                plan.duplicates.push({ dateKey, item });
+            } else {
+                plan.added.push({ dateKey, item });
+            }
+        });
+        return plan;
+    }
+
+    /**
+     * Check if two versions of an entry hold the same data
+     * @param {object} a - Log entry
+     * @param {object} b - Log entry
+     */
+    isSameEntry(a, b) {
+        return ['name', 'type', 'calories', 'protein', 'carbs', 'fat', 'quantity', 'mealSlot', 'timestamp']
+            .every(key => a[key] === b[key]);
+    }
+
+    /**
+     * Write a planned import to the food log
+     * In replace mode the previous log is kept as a backup first.
+     * @param {object} plan - Result of planImport
+     * @param {string} onConflict - 'incoming' to overwrite conflicting entries, 'existing' to keep them
+     * @returns {Promise<{ added: number, updated: number }>}
+     */
+    async applyImport(plan, onConflict = 'incoming') {
+        if (plan.mode === 'replace') {
+            const existingDays = await this.foodLog.getAllData();
+            await this.foodLog.storage.saveBackup(`before_import_${Date.now()}`, JSON.stringify(existingDays));
+            await this.foodLog.saveAllData(plan.incomingDays);
+            return { added: plan.added.length, updated: 0 };
+        }
+
+        // Conflicting entries share an id with the stored ones, so putting them overwrites;
+        // ones filed under another day are removed there too, so that day counts as changed
+        const put = [...plan.added];
+        const remove = [];
+        if (onConflict === 'incoming') {
+            plan.conflicts.forEach(({ dateKey, item, existingDateKey }) => {
+                put.push({ dateKey, item });
+                if (existingDateKey !== dateKey) remove.push({ itemId: item.id, dateKey: existingDateKey });
+            });
+        }
+        await this.foodLog.applyChanges({ put, remove });
+        return { added: plan.added.length, updated: onConflict === 'incoming' ? plan.conflicts.length : 0 };
+    }
+}
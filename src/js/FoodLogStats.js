@@ -0,0 +1,371 @@
+/**
+ * FoodLogStats - Analytics for the food log
+ * Rolling averages, weekday vs weekend comparison and target adherence over any
+ * range of days, the macro energy split, weekly calorie breakdowns and streaks.
+ * Days with nothing logged are left out of averages and adherence, so a
+ * forgotten day doesn't read as a day of fasting.
+ */
+export class FoodLogStats {
+    constructor(foodLog) {
+        this.foodLog = foodLog;
+        this.ranges = [
+            { id: '30', label: '30 days', days: 30 },
+            { id: '90', label: '90 days', days: 90 },
+            { id: '365', label: '1 year', days: 365 }
+        ];
+        this.metrics = [
+            { id: 'calories', label: 'Calories', unit: 'kcal' },
+            { id: 'protein', label: 'Protein', unit: 'g' },
+            { id: 'carbs', label: 'Carbs', unit: 'g' },
+            { id: 'fat', label: 'Fat', unit: 'g' }
+        ];
+        // Days in each rolling average
+        this.rollingDays = 7;
+        // A day is on target within this share of the target (same as Days On Goal)
+        this.tolerance = 0.1;
+        // Longest custom range, in days
+        this.maxDays = 3660;
+        this.caloriesPerGram = { protein: 4, carbs: 4, fat: 9 };
+        this.sourceTypes = [
+            { id: 'meal', label: 'Meals' },
+            { id: 'product', label: 'Products' },
+            { id: 'custom', label: 'Custom' }
+        ];
+        // Local hour each bucket starts at; night runs past midnight
+        this.timeBuckets = [
+            { id: 'morning', label: 'Morning', start: 5 },
+            { id: 'afternoon', label: 'Afternoon', start: 11 },
+            { id: 'evening', label: 'Evening', start: 17 },
+            { id: 'night', label: 'Night', start: 22 }
+        ];
+        // Entry count and calories per logged day, for streaks: { days, scannedThrough }
+        this.dayCache = null;
+        // Earliest day changed since the cache was filled; '' when any day may have changed
+        this.changedFrom = null;
+        // Cache updates run one at a time
+        this.dayCacheUpdate = Promise.resolve();
+    }
+
+    /**
+     * First and last day of a preset range ending today
+     * @param {string} rangeId - Range id from this.ranges
+     * @param {string} endKey - Optional last day; defaults to today
+     * @returns {{ startKey: string, endKey: string }|null} Null for an unknown range
+     */
+    getRangeKeys(rangeId, endKey = null) {
+        const range = this.ranges.find(r => r.id === rangeId);
+        if (!range) return null;
+        const end = endKey || this.foodLog.getDateKey();
+        return { startKey: this.foodLog.shiftDateKey(end, -(range.days - 1)), endKey: end };
+    }
+
+    /**
+     * Check a custom range
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     * @returns {string|null} Problem with the range, or null when it is usable
+     */
+    validateRange(startKey, endKey) {
+        if (!this.foodLog.isValidDateKey(startKey) || !this.foodLog.isValidDateKey(endKey)) return 'Choose a start and end date';
+        if (startKey > endKey) return 'The start date must be before the end date';
+        if (this.countDays(startKey, endKey) > this.maxDays) return `Choose a range of at most ${Math.floor(this.maxDays / 365)} years`;
+        return null;
+    }
+
+    /**
+     * Number of days in a range, both ends included
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     */
+    countDays(startKey, endKey) {
+        return Math.round((this.foodLog.parseDateKey(endKey) - this.foodLog.parseDateKey(startKey)) / 86400000) + 1;
+    }
+
+    /**
+     * Daily values, rolling averages, weekday vs weekend and adherence for a range
+     * With a tag filter only logged days with a matching entry are included; the
+     * other logged days are averaged separately for comparison.
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     * @param {object} filter - Optional { tagId, value } (see FoodLog.hasTag)
+     * @returns {Promise<object>} { startKey, endKey, filter, days, loggedDays, averages, otherAverages, rolling, weekdayWeekend, adherence };
+     *   each day has included set, otherAverages is null without a filter
+     */
+    async getHistory(startKey, endKey, filter = null) {
+        const data = await this.foodLog.getRangeData(startKey, endKey);
+        const matches = (dateKey) => !filter || (data[dateKey] || []).some(item => this.foodLog.hasTag(item, filter));
+        const days = this.foodLog.summarizeDays(data, startKey, endKey)
+            .map(day => ({ ...day, included: day.itemCount > 0 && matches(day.date) }));
+        const included = days.filter(day => day.included);
+        return {
+            startKey,
+            endKey,
+            filter,
+            days,
+            loggedDays: included.length,
+            averages: this.getAverages(included),
+            otherAverages: filter ? this.getAverages(days.filter(day => day.itemCount > 0 && !day.included)) : null,
+            rolling: this.getRollingAverages(days),
+            weekdayWeekend: this.compareWeekdayWeekend(included),
+            adherence: this.getAdherence(included)
+        };
+    }
+
+    /**
+     * Value of a metric on a day; calories follow the eaten/net mode
+     * @param {object} day - From FoodLog.getDailyData
+     * @param {string} metricId - Metric id
+     */
+    getValue(day, metricId) {
+        return metricId === 'calories' ? day.counted : day[metricId];
+    }
+
+    /**
+     * Average of each metric over days
+     * @param {array} days - Logged days
+     * @returns {object} Averages keyed by metric id, null without days
+     */
+    getAverages(days) {
+        return Object.fromEntries(this.metrics.map(m => [
+            m.id,
+            days.length > 0 ? Math.round(days.reduce((sum, day) => sum + this.getValue(day, m.id), 0) / days.length) : null
+        ]));
+    }
+
+    /**
+     * Trailing average of each metric over the included days in the last rollingDays days
+     * Uses running sums, so the cost grows with the range rather than range x window.
+     * @param {array} days - Every day in the range, oldest first, with included set
+     * @returns {object} Arrays aligned with days, keyed by metric id; null where no day in the window is included
+     */
+    getRollingAverages(days) {
+        const rolling = {};
+        this.metrics.forEach(m => {
+            let sum = 0;
+            let count = 0;
+            rolling[m.id] = days.map((day, i) => {
+                if (day.included) {
+                    sum += this.getValue(day, m.id);
+                    count++;
+                }
+                const dropped = days[i - this.rollingDays];
+                if (dropped && dropped.included) {
+                    sum -= this.getValue(dropped, m.id);
+                    count--;
+                }
+                return count > 0 ? Math.round(sum / count) : null;
+            });
+        });
+        return rolling;
+    }
+
+    /**
+     * Averages on weekdays (Mon-Fri) and weekends (Sat-Sun)
+     * @param {array} days - Logged days
+     * @returns {object} { weekday: { days, averages }, weekend: { days, averages } }
+     */
+    compareWeekdayWeekend(days) {
+        const isWeekend = (day) => [0, 6].includes(this.foodLog.parseDateKey(day.date).getDay());
+        const weekday = days.filter(day => !isWeekend(day));
+        const weekend = days.filter(isWeekend);
+        return {
+            weekday: { days: weekday.length, averages: this.getAverages(weekday) },
+            weekend: { days: weekend.length, averages: this.getAverages(weekend) }
+        };
+    }
+
+    /**
+     * Share of days within tolerance of the target active that day
+     * @param {array} days - Logged days
+     * @returns {object} Percentages keyed by metric id plus 'all' (every metric on target); null without days
+     */
+    getAdherence(days) {
+        const percent = (count) => days.length > 0 ? Math.round(count / days.length * 100) : null;
+        const adherence = Object.fromEntries(this.metrics.map(m => [m.id, percent(days.filter(day => this.isOnTarget(day, m.id)).length)]));
+        adherence.all = percent(days.filter(day => this.metrics.every(m => this.isOnTarget(day, m.id))).length);
+        return adherence;
+    }
+
+    /**
+     * Whether a day is within tolerance of the target active that day
+     * @param {object} day - From FoodLog.getDailyData
+     * @param {string} metricId - Metric id
+     */
+    isOnTarget(day, metricId) {
+        const target = day.targets[metricId];
+        const value = this.getValue(day, metricId);
+        return target > 0 && value >= target * (1 - this.tolerance) && value <= target * (1 + this.tolerance);
+    }
+
+    /**
+     * Forget cached days from the earliest changed day on
+     * @param {array|null} dateKeys - Days whose entries changed, or null when it may be any day
+     */
+    invalidateDays(dateKeys) {
+        const earliest = dateKeys ? [...dateKeys].sort()[0] : '';
+        if (earliest === undefined) return;
+        if (this.changedFrom === null || earliest < this.changedFrom) this.changedFrom = earliest;
+    }
+
+    /**
+     * Entry count and calories of every logged day up to today
+     * The whole log is read once; after that only days from the earliest change
+     * (see invalidateDays) or after the last scanned day are read again.
+     * @returns {Promise<object>} { dateKey: { itemCount, calories } }
+     */
+    getLoggedDays() {
+        const update = () => this.updateDayCache();
+        this.dayCacheUpdate = this.dayCacheUpdate.then(update, update);
+        return this.dayCacheUpdate;
+    }
+
+    /**
+     * Bring the day cache up to date (call getLoggedDays instead)
+     */
+    async updateDayCache() {
+        const today = this.foodLog.getDateKey();
+        const cache = this.dayCache;
+        const full = !cache || this.changedFrom === '';
+        const fromKey = full ? '' : [this.changedFrom, this.foodLog.shiftDateKey(cache.scannedThrough, 1)].filter(Boolean).sort()[0];
+        // Changes made while reading are kept for the next update
+        this.changedFrom = null;
+        if (fromKey > today) return cache.days;
+
+        try {
+            const data = full ? await this.foodLog.getAllData() : await this.foodLog.getRangeData(fromKey, today);
+            const days = {};
+            if (!full) Object.keys(cache.days).filter(key => key < fromKey).forEach(key => { days[key] = cache.days[key]; });
+            Object.entries(data).forEach(([key, items]) => {
+                if (key > today || items.length === 0) return;
+                days[key] = { itemCount: items.length, calories: this.foodLog.calculateTotals(items).calories };
+            });
+            this.dayCache = { days, scannedThrough: today };
+            return days;
+        } catch (error) {
+            this.dayCache = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Logging and on-goal streaks and personal bests over the whole log
+     * A streak still counts as current while today has nothing logged or isn't on goal yet.
+     * Only changed days are read from storage (see getLoggedDays); targets, exercise and the
+     * calorie mode are applied afresh each time, so changing them needs no re-read.
+     * @returns {Promise<object>} { logging, onGoal, daysLogged, bestWeekOnGoal }; logging and onGoal are { current, best, bestEndKey }
+     */
+    async getStreaks() {
+        const logged = await this.getLoggedDays();
+        const today = this.foodLog.getDateKey();
+        const firstKey = Object.keys(logged).filter(key => key <= today).sort()[0];
+        if (!firstKey) {
+            const none = { current: 0, best: 0, bestEndKey: null };
+            return { logging: none, onGoal: none, daysLogged: 0, bestWeekOnGoal: 0 };
+        }
+        const burnedByDay = this.foodLog.exerciseLog ? this.foodLog.exerciseLog.getDailyBurned() : {};
+        const days = [];
+        for (let dateKey = firstKey; dateKey <= today; dateKey = this.foodLog.shiftDateKey(dateKey, 1)) {
+            const day = logged[dateKey];
+            days.push({
+                date: dateKey,
+                itemCount: day ? day.itemCount : 0,
+                targets: this.foodLog.getTargets(dateKey),
+                counted: this.foodLog.countCalories(day ? day.calories : 0, burnedByDay[dateKey] || 0)
+            });
+        }
+        const isLogged = (day) => day.itemCount > 0;
+        const isOnGoal = (day) => isLogged(day) && this.isOnTarget(day, 'calories');
+
+        // Most on-goal days in any 7 days in a row
+        let bestWeekOnGoal = 0;
+        let weekOnGoal = 0;
+        days.forEach((day, i) => {
+            if (isOnGoal(day)) weekOnGoal++;
+            if (i >= 7 && isOnGoal(days[i - 7])) weekOnGoal--;
+            bestWeekOnGoal = Math.max(bestWeekOnGoal, weekOnGoal);
+        });
+
+        return {
+            logging: this.countStreaks(days, isLogged),
+            onGoal: this.countStreaks(days, isOnGoal),
+            daysLogged: days.filter(isLogged).length,
+            bestWeekOnGoal
+        };
+    }
+
+    /**
+     * Current and longest run of days passing a test
+     * @param {array} days - Every day up to today, oldest first
+     * @param {function} test - Whether a day counts
+     * @returns {{ current: number, best: number, bestEndKey: string|null }}
+     */
+    countStreaks(days, test) {
+        let run = 0;
+        let best = 0;
+        let bestEndKey = null;
+        days.forEach(day => {
+            run = test(day) ? run + 1 : 0;
+            if (run > best) {
+                best = run;
+                bestEndKey = day.date;
+            }
+        });
+        // Today isn't over, so a streak that ran to yesterday is still alive
+        let current = 0;
+        const last = days.length - 1;
+        for (let i = test(days[last]) ? last : last - 1; i >= 0 && test(days[i]); i--) current++;
+        return { current, best, bestEndKey };
+    }
+
+    /**
+     * Share of energy from protein, carbs and fat
+     * @param {object} grams - { protein, carbs, fat } in grams, e.g. totals or targets
+     * @returns {object|null} Whole percentages keyed by macro, null when there is no energy
+     */
+    getMacroSplit(grams) {
+        const energy = Object.fromEntries(Object.entries(this.caloriesPerGram).map(([macro, kcal]) => [macro, (grams[macro] || 0) * kcal]));
+        const total = Object.values(energy).reduce((sum, kcal) => sum + kcal, 0);
+        if (total <= 0) return null;
+        return Object.fromEntries(Object.entries(energy).map(([macro, kcal]) => [macro, Math.round(kcal / total * 100)]));
+    }
+
+    /**
+     * Time-of-day bucket an entry was eaten in
+     * @param {object} item - Log entry
+     */
+    getTimeBucket(item) {
+        const hour = new Date(item.timestamp).getHours();
+        const bucket = [...this.timeBuckets].reverse().find(b => hour >= b.start);
+        // Before the first bucket starts is still the night before
+        return (bucket || this.timeBuckets[this.timeBuckets.length - 1]).id;
+    }
+
+    /**
+     * Calories per day by source type and by time of day for the week ending on a day
+     * @param {string} endDateKey - Optional last day of the week; defaults to today
+     * @returns {Promise<array>} [{ date, dayName, bySource: { meal, product, custom }, byTime: { morning, ... } }]
+     */
+    async getWeeklyBreakdown(endDateKey = null) {
+        const endKey = endDateKey || this.foodLog.getDateKey();
+        const startKey = this.foodLog.shiftDateKey(endKey, -6);
+        const data = await this.foodLog.getRangeData(startKey, endKey);
+        const days = [];
+        for (let dateKey = startKey; dateKey <= endKey; dateKey = this.foodLog.shiftDateKey(dateKey, 1)) {
+            const bySource = Object.fromEntries(this.sourceTypes.map(t => [t.id, 0]));
+            const byTime = Object.fromEntries(this.timeBuckets.map(b => [b.id, 0]));
+            (data[dateKey] || []).forEach(item => {
+                const calories = (item.calories || 0) * (item.quantity || 1);
+                // Anything without a known type was entered by hand
+                bySource[item.type in bySource ? item.type : 'custom'] += calories;
+                byTime[this.getTimeBucket(item)] += calories;
+            });
+            days.push({
+                date: dateKey,
+                dayName: this.foodLog.parseDateKey(dateKey).toLocaleDateString('en-US', { weekday: 'short' }),
+                bySource,
+                byTime
+            });
+        }
+        return days;
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * MealTemplates - Named groups of foods that are logged together ("my usual breakfast")
+ * Stored in LocalStorage next to the food log, under nutriplan_foodlog_templates.
+ * Always read fresh so templates saved in another tab show up.
+ */
+export class MealTemplates {
+    constructor(foodLog) {
+        this.foodLog = foodLog;
+        this.storageKey = `${foodLog.storageKey}_templates`;
+    }
+
+    /**
+     * Get all templates, newest first
+     */
+    getAll() {
+        try {
+            const templates = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            return Array.isArray(templates) ? templates : [];
+        } catch (error) {
+            console.error('Error reading meal templates:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a template by id
+     * @param {string} templateId - The template id
+     */
+    get(templateId) {
+        return this.getAll().find(t => t.id === templateId) || null;
+    }
+
+    /**
+     * Save the template list
+     * @param {array} templates - All templates
+     */
+    saveAll(templates) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(templates));
+        } catch (error) {
+            console.error('Error saving meal templates:', error);
+        }
+    }
+
+    /**
+     * Create a template from log entries
+     * Keeps what is needed to log the food again; ids and timestamps are left out.
+     * @param {string} name - Template name
+     * @param {array} entries - Log entries
+     * @returns {object} The new template
+     */
+    create(name, entries) {
+        const template = {
+            id: this.foodLog.createId(),
+            name: name.trim() || 'My template',
+            items: entries.map(({ name, type, sourceId, image, calories, protein, carbs, fat, quantity, mealSlot, ...rest }) => ({
+                name, type, sourceId: sourceId || null, image: image || null, calories, protein, carbs, fat,
+                ...this.foodLog.getMicronutrients(rest), quantity: quantity || 1, mealSlot
+            })),
+            createdAt: new Date().toISOString()
+        };
+        this.saveAll([template, ...this.getAll()]);
+        return template;
+    }
+
+    /**
+     * Put a template back, e.g. after an undo
+     * @param {object} template - The template
+     */
+    restore(template) {
+        this.saveAll([template, ...this.getAll().filter(t => t.id !== template.id)]);
+    }
+
+    /**
+     * Delete a template
+     * @param {string} templateId - The template id
+     * @returns {object|null} The deleted template
+     */
+    remove(templateId) {
+        const templates = this.getAll();
+        const template = templates.find(t => t.id === templateId) || null;
+        this.saveAll(templates.filter(t => t.id !== templateId));
+        return template;
+    }
+
+    /**
+     * Totals for one serving of every item in a template
+     * @param {object} template - The template
+     */
+    getTotals(template) {
+        return this.foodLog.calculateTotals(template.items);
+    }
+}
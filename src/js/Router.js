@@ -9,6 +9,7 @@ export class Router {
             '/home': 'home',
             '/scanner': 'scanner',
             '/foodlog': 'foodlog',
+            '/profile': 'profile',
             '/meal-details': 'meal-details'
         };
         this.currentRoute = null;
@@ -71,7 +72,7 @@ export class Router {
 
         // Check if it's a meal details route
         let route = 'home';
-        let mealId = null;
+        let param = null;
 
         if (relativePath.startsWith('/meal-details/') || relativePath.startsWith('/meal/') ||
             fullPath.includes('/meal-details/') || fullPath.includes('/meal/')) {
@@ -79,7 +80,11 @@ export class Router {
             // Extract mealId from whichever path contains it
             const pathToUse = relativePath.includes('/meal-details/') || relativePath.includes('/meal/')
                 ? relativePath : fullPath;
-            mealId = pathToUse.split('/').pop();
+            param = pathToUse.split('/').pop();
+        } else if (/^\/foodlog\/\d{4}-\d{2}-\d{2}\/?$/.test(relativePath)) {
+            // Food log for a specific day: /foodlog/YYYY-MM-DD
+            route = 'foodlog';
+            param = relativePath.split('/').filter(Boolean).pop();
         } else if (this.routes[relativePath]) {
             route = this.routes[relativePath];
         } else if (relativePath === '/index.html' || relativePath.endsWith('/index.html')) {
@@ -89,8 +94,9 @@ export class Router {
         this.currentRoute = route;
 
         // Call the route change handler if defined
+        // (param is the meal id for meal-details, the date key for foodlog)
         if (this.onRouteChange) {
-            this.onRouteChange(route, mealId);
+            this.onRouteChange(route, param);
         }
     }
 
@@ -0,0 +1,210 @@
+/**
+ * UserProfile - Personal details and computed daily targets
+ * Calories use the Mifflin-St Jeor BMR times an activity factor, adjusted for the goal.
+ * Macro targets are derived from a percentage split of those calories.
+ * Weekday overrides (e.g. a Saturday refeed) and dated periods (e.g. a spring cut)
+ * replace the base targets on the days they cover; periods win over weekdays.
+ */
+export class UserProfile {
+    constructor() {
+        this.storageKey = 'nutriplan_profile';
+        this.activityLevels = [
+            { id: 'sedentary', label: 'Sedentary (little or no exercise)', factor: 1.2 },
+            { id: 'light', label: 'Light (1-3 days/week)', factor: 1.375 },
+            { id: 'moderate', label: 'Moderate (3-5 days/week)', factor: 1.55 },
+            { id: 'active', label: 'Active (6-7 days/week)', factor: 1.725 },
+            { id: 'very_active', label: 'Very active (physical job or twice a day)', factor: 1.9 }
+        ];
+        this.goals = [
+            { id: 'lose', label: 'Lose weight', adjustment: -500 },
+            { id: 'maintain', label: 'Maintain weight', adjustment: 0 },
+            { id: 'gain', label: 'Gain weight', adjustment: 300 }
+        ];
+        // Percent of calories from carbs / protein / fat
+        this.macroSplits = [
+            { id: 'balanced', label: 'Balanced 40/30/30', carbs: 40, protein: 30, fat: 30 },
+            { id: 'low-carb', label: 'Low carb 25/35/40', carbs: 25, protein: 35, fat: 40 },
+            { id: 'high-protein', label: 'High protein 35/40/25', carbs: 35, protein: 40, fat: 25 },
+            { id: 'high-carb', label: 'High carb 55/20/25', carbs: 55, protein: 20, fat: 25 }
+        ];
+        this.caloriesPerGram = { protein: 4, carbs: 4, fat: 9 };
+        this.minimumCalories = 1200;
+        this.data = this.load();
+    }
+
+    /**
+     * Load the profile from LocalStorage
+     */
+    load() {
+        const defaults = {
+            sex: null,
+            age: null,
+            heightCm: null,
+            weightKg: null,
+            activityLevel: 'light',
+            goal: 'maintain',
+            macroSplit: 'balanced',
+            // Keyed by weekday (0 = Sunday): { calories, protein, carbs, fat }
+            weekdayTargets: {},
+            // [{ id, label, startDate, endDate, calories, protein, carbs, fat }], date keys inclusive
+            targetPeriods: []
+        };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+        } catch (error) {
+            console.error('Error reading profile:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Update and save the profile
+     * @param {object} patch - Fields to change
+     */
+    save(patch) {
+        this.data = { ...this.data, ...this.sanitize(patch) };
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error('Error saving profile:', error);
+        }
+        return this.data;
+    }
+
+    /**
+     * Keep only known fields with sensible values
+     * @param {object} patch - Raw form values
+     */
+    sanitize(patch) {
+        const clean = {};
+        const toNumber = (value, min, max) => {
+            const n = parseFloat(value);
+            return isNaN(n) ? null : Math.max(min, Math.min(max, n));
+        };
+        if (patch.sex === 'male' || patch.sex === 'female') clean.sex = patch.sex;
+        if (patch.age !== undefined) clean.age = toNumber(patch.age, 13, 110);
+        if (patch.heightCm !== undefined) clean.heightCm = toNumber(patch.heightCm, 100, 250);
+        if (patch.weightKg !== undefined) clean.weightKg = toNumber(patch.weightKg, 30, 300);
+        if (this.activityLevels.some(a => a.id === patch.activityLevel)) clean.activityLevel = patch.activityLevel;
+        if (this.goals.some(g => g.id === patch.goal)) clean.goal = patch.goal;
+        if (this.macroSplits.some(m => m.id === patch.macroSplit)) clean.macroSplit = patch.macroSplit;
+        if (patch.weekdayTargets && typeof patch.weekdayTargets === 'object') {
+            clean.weekdayTargets = {};
+            Object.entries(patch.weekdayTargets).forEach(([day, targets]) => {
+                const targetsClean = this.sanitizeTargets(targets);
+                if (/^[0-6]$/.test(day) && targetsClean) clean.weekdayTargets[day] = targetsClean;
+            });
+        }
+        if (Array.isArray(patch.targetPeriods)) {
+            const isDateKey = (key) => /^\d{4}-\d{2}-\d{2}$/.test(key || '');
+            clean.targetPeriods = patch.targetPeriods
+                .filter(p => isDateKey(p.startDate) && isDateKey(p.endDate) && p.startDate <= p.endDate && this.sanitizeTargets(p))
+                .map(p => ({
+                    id: /^[\w-]+$/.test(String(p.id ?? '')) ? String(p.id) : `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                    label: String(p.label || '').trim() || 'Target period',
+                    startDate: p.startDate,
+                    endDate: p.endDate,
+                    ...this.sanitizeTargets(p)
+                }));
+        }
+        return clean;
+    }
+
+    /**
+     * Clean an override's targets; macros left blank are null and later derived from the split
+     * @param {object} targets - Raw { calories, protein, carbs, fat }
+     * @returns {object|null} Null when there is no calorie target
+     */
+    sanitizeTargets(targets) {
+        if (!targets) return null;
+        const toGrams = (value) => {
+            const n = parseFloat(value);
+            return isNaN(n) || n < 0 ? null : Math.round(n);
+        };
+        const calories = parseFloat(targets.calories);
+        if (isNaN(calories) || calories <= 0) return null;
+        return {
+            calories: Math.round(Math.min(calories, 10000)),
+            protein: toGrams(targets.protein),
+            carbs: toGrams(targets.carbs),
+            fat: toGrams(targets.fat)
+        };
+    }
+
+    /**
+     * Check if there is enough information to compute targets
+     * @param {object} data - Optional profile data; defaults to the saved profile
+     */
+    isComplete(data = this.data) {
+        return Boolean(data.sex && data.age && data.heightCm && data.weightKg);
+    }
+
+    /**
+     * Basal metabolic rate (Mifflin-St Jeor), kcal/day
+     * @param {object} data - Optional profile data; defaults to the saved profile
+     */
+    calculateBMR(data = this.data) {
+        if (!this.isComplete(data)) return null;
+        const base = 10 * data.weightKg + 6.25 * data.heightCm - 5 * data.age;
+        return Math.round(data.sex === 'male' ? base + 5 : base - 161);
+    }
+
+    /**
+     * Total daily energy expenditure, kcal/day
+     * @param {object} data - Optional profile data; defaults to the saved profile
+     */
+    calculateTDEE(data = this.data) {
+        const bmr = this.calculateBMR(data);
+        if (bmr === null) return null;
+        const activity = this.activityLevels.find(a => a.id === data.activityLevel) || this.activityLevels[0];
+        return Math.round(bmr * activity.factor);
+    }
+
+    /**
+     * Daily targets from the profile, or null when the profile is incomplete
+     * @param {object} data - Optional profile data; defaults to the saved profile
+     */
+    getDailyTargets(data = this.data) {
+        const tdee = this.calculateTDEE(data);
+        if (tdee === null) return null;
+        const goal = this.goals.find(g => g.id === data.goal) || this.goals[1];
+        const calories = Math.max(this.minimumCalories, Math.round(tdee + goal.adjustment));
+        return { calories, ...this.splitMacros(calories, data.macroSplit) };
+    }
+
+    /**
+     * Override that applies on a date: the latest-starting period covering it, else the weekday's
+     * @param {string} dateKey - The date key
+     * @param {number} weekday - Day of the week of that date (0 = Sunday)
+     * @returns {object|null} Complete { calories, protein, carbs, fat }, or null to use the base targets
+     */
+    getTargetOverride(dateKey, weekday) {
+        const period = (this.data.targetPeriods || [])
+            .filter(p => p.startDate <= dateKey && dateKey <= p.endDate)
+            .sort((a, b) => b.startDate.localeCompare(a.startDate))[0];
+        const override = period || this.data.weekdayTargets?.[weekday];
+        if (!override) return null;
+
+        const derived = this.splitMacros(override.calories, this.data.macroSplit);
+        return {
+            calories: override.calories,
+            protein: override.protein ?? derived.protein,
+            carbs: override.carbs ?? derived.carbs,
+            fat: override.fat ?? derived.fat
+        };
+    }
+
+    /**
+     * Grams of each macro for a calorie amount and split
+     * @param {number} calories - Daily calories
+     * @param {string} splitId - Macro split id
+     */
+    splitMacros(calories, splitId) {
+        const split = this.macroSplits.find(m => m.id === splitId) || this.macroSplits[0];
+        return {
+            protein: Math.round((calories * split.protein / 100) / this.caloriesPerGram.protein),
+            carbs: Math.round((calories * split.carbs / 100) / this.caloriesPerGram.carbs),
+            fat: Math.round((calories * split.fat / 100) / this.caloriesPerGram.fat)
+        };
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * WaterLog - Daily water intake
+ * Stored in LocalStorage next to the food log, under nutriplan_foodlog_water, as
+ * { goal, entries: [{ id, ml, timestamp }] }. Entries are grouped into days by
+ * timestamp with FoodLog's day boundaries, so they follow the day start hour.
+ */
+export class WaterLog {
+    constructor(foodLog) {
+        this.foodLog = foodLog;
+        this.storageKey = `${foodLog.storageKey}_water`;
+        this.defaultGoal = 2000;
+        this.servings = [
+            { id: 'glass', label: 'Glass', ml: 250, icon: 'fa-glass-water' },
+            { id: 'bottle', label: 'Bottle', ml: 500, icon: 'fa-bottle-water' }
+        ];
+        // Called when another tab changes the water log
+        this.onChange = null;
+    }
+
+    /**
+     * Read the stored water log
+     */
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                goal: data.goal > 0 ? data.goal : this.defaultGoal,
+                entries: Array.isArray(data.entries) ? data.entries : []
+            };
+        } catch (error) {
+            console.error('Error reading water log:', error);
+            return { goal: this.defaultGoal, entries: [] };
+        }
+    }
+
+    /**
+     * Save the water log
+     * @param {object} data - { goal, entries }
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Error saving water log:', error);
+        }
+    }
+
+    /**
+     * Re-read and call onChange when another tab saves
+     */
+    listenForChanges() {
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey && this.onChange) this.onChange();
+        });
+    }
+
+    getGoal() {
+        return this.load().goal;
+    }
+
+    /**
+     * Set the daily goal
+     * @param {number} ml - Goal in millilitres (250-10000)
+     */
+    setGoal(ml) {
+        const data = this.load();
+        data.goal = Math.max(250, Math.min(10000, Math.round(parseFloat(ml)) || this.defaultGoal));
+        this.save(data);
+        return data.goal;
+    }
+
+    /**
+     * Log a drink
+     * @param {number} ml - Amount in millilitres
+     * @param {string} dateKey - Optional date key; defaults to today
+     * @returns {object|null} The new entry, or null for an invalid amount
+     */
+    add(ml, dateKey = null) {
+        const amount = Math.round(parseFloat(ml));
+        if (!(amount > 0)) return null;
+        let now = new Date();
+        // Back-filled drinks keep the current time of day on the chosen date
+        if (dateKey && dateKey !== this.foodLog.getDateKey(now)) now = this.foodLog.getTimestampForDateKey(dateKey, now);
+        const entry = { id: this.foodLog.createId(), ml: amount, timestamp: now.toISOString() };
+        const data = this.load();
+        data.entries.push(entry);
+        this.save(data);
+        return entry;
+    }
+
+    /**
+     * Delete a drink
+     * @param {string} entryId - The entry id
+     * @returns {object|null} The deleted entry
+     */
+    remove(entryId) {
+        const data = this.load();
+        const entry = data.entries.find(e => e.id === entryId) || null;
+        data.entries = data.entries.filter(e => e.id !== entryId);
+        this.save(data);
+        return entry;
+    }
+
+    /**
+     * Add entries, skipping ids that are already logged (restoring a backup or an undo)
+     * @param {array} entries - Water entries
+     * @returns {number} How many were added
+     */
+    merge(entries) {
+        const data = this.load();
+        const ids = new Set(data.entries.map(e => e.id));
+        const added = entries.filter(e => {
+            if (!e || !e.id || ids.has(e.id) || !(Number(e.ml) > 0)) return false;
+            if (typeof e.timestamp !== 'string' || isNaN(new Date(e.timestamp))) return false;
+            ids.add(e.id);
+            return true;
+        });
+        data.entries.push(...added.map(({ id, ml, timestamp }) => ({
+            id,
+            ml: Number(ml),
+            timestamp: new Date(timestamp).toISOString()
+        })));
+        this.save(data);
+        return added.length;
+    }
+
+    /**
+     * Drinks logged on a day, oldest first
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getEntries(dateKey = null) {
+        const key = dateKey || this.foodLog.getDateKey();
+        return this.load().entries
+            .filter(e => this.foodLog.getEntryDateKey(e, null) === key)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Millilitres drunk per day
+     * @returns {object} Totals keyed by date key
+     */
+    getDailyTotals() {
+        const totals = {};
+        this.load().entries.forEach(e => {
+            const key = this.foodLog.getEntryDateKey(e, null);
+            if (key) totals[key] = (totals[key] || 0) + e.ml;
+        });
+        return totals;
+    }
+
+    /**
+     * Millilitres drunk on a day
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getTotal(dateKey = null) {
+        return this.getEntries(dateKey).reduce((sum, e) => sum + e.ml, 0);
+    }
+
+    /**
+     * Percentage of the daily goal reached
+     * @param {string} dateKey - Optional date key; defaults to today
+     */
+    getProgress(dateKey = null) {
+        const { goal } = this.load();
+        return goal > 0 ? (this.getTotal(dateKey) / goal) * 100 : 0;
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * WeightLog - Dated weigh-ins, a smoothed trend and a goal projection
+ * Stored in LocalStorage under nutriplan_weight as { goalKg, entries: [{ id, dateKey, kg, source }] },
+ * one weigh-in per day. Imported weigh-ins also keep the timestamp from the file.
+ * The trend is an exponential moving average, so day-to-day water swings don't hide
+ * the real direction.
+ */
+export class WeightLog {
+    constructor(foodLog, profile) {
+        this.foodLog = foodLog;
+        this.profile = profile;
+        this.storageKey = 'nutriplan_weight';
+        // Share of each new day's weigh-in that moves the trend
+        this.smoothing = 0.1;
+        // Energy in one kg of body weight, kcal
+        this.kcalPerKg = 7700;
+        this.minKg = 20;
+        this.maxKg = 400;
+    }
+
+    /**
+     * Read the stored weight log
+     */
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                goalKg: data.goalKg > 0 ? data.goalKg : null,
+                entries: Array.isArray(data.entries) ? data.entries : []
+            };
+        } catch (error) {
+            console.error('Error reading weight log:', error);
+            return { goalKg: null, entries: [] };
+        }
+    }
+
+    /**
+     * Save the weight log
+     * @param {object} data - { goalKg, entries }
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Error saving weight log:', error);
+        }
+    }
+
+    /**
+     * Weigh-ins, oldest first
+     */
+    getEntries() {
+        return this.load().entries.sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+    }
+
+    /**
+     * Check a weight in kg
+     * @param {*} kg - The weight
+     */
+    isValidWeight(kg) {
+        return typeof kg === 'number' && kg >= this.minKg && kg <= this.maxKg;
+    }
+
+    /**
+     * Record a weigh-in; a second one on the same day replaces the first
+     * @param {string} dateKey - The day weighed
+     * @param {number} kg - Weight in kg
+     * @returns {{ entry: object, replaced: object|null }|null} Null for an invalid date or weight
+     */
+    addWeighIn(dateKey, kg) {
+        const weight = Math.round(parseFloat(kg) * 10) / 10;
+        if (!this.foodLog.isValidDateKey(dateKey) || !this.isValidWeight(weight)) return null;
+        const data = this.load();
+        const replaced = data.entries.find(e => e.dateKey === dateKey) || null;
+        const entry = { id: this.foodLog.createId(), dateKey, kg: weight, source: 'manual' };
+        data.entries = [...data.entries.filter(e => e.dateKey !== dateKey), entry];
+        this.save(data);
+        return { entry, replaced };
+    }
+
+    /**
+     * Put a weigh-in back exactly as it was, e.g. after an undo
+     * @param {object} entry - The weigh-in
+     */
+    restore(entry) {
+        const data = this.load();
+        data.entries = [...data.entries.filter(e => e.dateKey !== entry.dateKey), entry];
+        this.save(data);
+    }
+
+    /**
+     * Add or replace weigh-ins in one write (imports); each replaces the one on its day
+     * @param {array} entries - Complete weigh-ins
+     */
+    putEntries(entries) {
+        if (entries.length === 0) return;
+        const days = new Set(entries.map(e => e.dateKey));
+        const data = this.load();
+        data.entries = [...data.entries.filter(e => !days.has(e.dateKey)), ...entries];
+        this.save(data);
+    }
+
+    /**
+     * Delete a weigh-in
+     * @param {string} entryId - The entry id
+     * @returns {object|null} The deleted entry
+     */
+    remove(entryId) {
+        const data = this.load();
+        const entry = data.entries.find(e => e.id === entryId) || null;
+        data.entries = data.entries.filter(e => e.id !== entryId);
+        this.save(data);
+        return entry;
+    }
+
+    getGoal() {
+        return this.load().goalKg;
+    }
+
+    /**
+     * Set the goal weight
+     * @param {number|null} kg - Goal in kg; empty clears it
+     * @returns {number|null} The saved goal
+     */
+    setGoal(kg) {
+        const data = this.load();
+        const goal = Math.round(parseFloat(kg) * 10) / 10;
+        data.goalKg = this.isValidWeight(goal) ? goal : null;
+        this.save(data);
+        return data.goalKg;
+    }
+
+    /**
+     * Weigh-ins with the smoothed trend at each
+     * Gaps between weigh-ins count as that many days of smoothing.
+     * @returns {array} [{ id, dateKey, kg, trend }]
+     */
+    getTrend() {
+        let trend = null;
+        let lastDate = null;
+        return this.getEntries().map(entry => {
+            const date = this.foodLog.parseDateKey(entry.dateKey);
+            if (trend === null) {
+                trend = entry.kg;
+            } else {
+                const days = Math.max(1, Math.round((date - lastDate) / 86400000));
+                const weight = 1 - Math.pow(1 - this.smoothing, days);
+                trend += (entry.kg - trend) * weight;
+            }
+            lastDate = date;
+            return { ...entry, trend: Math.round(trend * 100) / 100 };
+        });
+    }
+
+    /**
+     * Latest trend weight, or null without weigh-ins
+     */
+    getCurrentTrend() {
+        const trend = this.getTrend();
+        return trend.length > 0 ? trend[trend.length - 1].trend : null;
+    }
+
+    /**
+     * Average daily calorie balance (intake minus expenditure) over the week
+     * Only days with logged food count. Expenditure comes from the profile at the trend weight.
+     * @param {string} endDateKey - Optional last day of the week; defaults to today
+     * @returns {Promise<{ balance: number, tdee: number, days: number }|null>} Null without a complete profile or logged days
+     */
+    async getAverageBalance(endDateKey = null) {
+        const trendKg = this.getCurrentTrend();
+        const tdee = this.profile?.calculateTDEE(trendKg ? { ...this.profile.data, weightKg: trendKg } : undefined);
+        if (!tdee) return null;
+        const logged = (await this.foodLog.getWeeklyData(endDateKey)).filter(day => day.itemCount > 0);
+        if (logged.length === 0) return null;
+        const intake = logged.reduce((sum, day) => sum + day.calories, 0) / logged.length;
+        return { balance: Math.round(intake - tdee), tdee, days: logged.length };
+    }
+
+    /**
+     * When the goal weight will be reached at the current calorie balance
+     * @param {string} endDateKey - Optional day to project from; defaults to today
+     * @returns {Promise<object>} { status, goalKg, trendKg, balance, kgPerWeek, days, dateKey }
+     *   status is 'no-goal', 'no-weight', 'reached', 'no-balance', 'away' (moving away from the goal) or 'on-track'
+     */
+    async getProjection(endDateKey = null) {
+        const goalKg = this.getGoal();
+        const trendKg = this.getCurrentTrend();
+        const result = { status: 'on-track', goalKg, trendKg, balance: null, kgPerWeek: null, days: null, dateKey: null };
+        if (goalKg === null) return { ...result, status: 'no-goal' };
+        if (trendKg === null) return { ...result, status: 'no-weight' };
+        const remaining = goalKg - trendKg;
+        if (Math.abs(remaining) < 0.1) return { ...result, status: 'reached' };
+
+        const average = await this.getAverageBalance(endDateKey);
+        if (!average || average.balance === 0) return { ...result, status: 'no-balance', balance: average?.balance ?? null };
+        const kgPerDay = average.balance / this.kcalPerKg;
+        const projection = { ...result, balance: average.balance, kgPerWeek: Math.round(kgPerDay * 7 * 100) / 100 };
+        if (Math.sign(kgPerDay) !== Math.sign(remaining)) return { ...projection, status: 'away' };
+
+        const days = Math.ceil(remaining / kgPerDay);
+        return { ...projection, days, dateKey: this.foodLog.shiftDateKey(endDateKey || this.foodLog.getDateKey(), days) };
+    }
+}
@@ -1,12 +1,24 @@
 /**
  * NutriPlan - Main Entry Point
  * Initializes all modules and wires the app together
- * Version 1.14 - Integrated NutritionService for real USDA nutrition data
+ * Version 1.31 - Day notes and entry tags
  */
 
 // Import core classes - v1.13 cache bust
 import { Router } from './Router.js?v=1.13';
 import { FoodLog } from './FoodLog.js?v=1.13';
+import { UserProfile } from './UserProfile.js?v=1.13';
+import { FoodLogExporter } from './FoodLogExporter.js?v=1.13';
+import { FoodLogImporter } from './FoodLogImporter.js?v=1.13';
+import { FoodLogHistory } from './FoodLogHistory.js?v=1.13';
+import { MealTemplates } from './MealTemplates.js?v=1.13';
+import { WaterLog } from './WaterLog.js?v=1.13';
+import { WeightLog } from './WeightLog.js?v=1.13';
+import { ExerciseLog } from './ExerciseLog.js?v=1.13';
+import { FastingLog } from './FastingLog.js?v=1.13';
+import { FitnessImporter } from './FitnessImporter.js?v=1.13';
+import { FoodLogStats } from './FoodLogStats.js?v=1.13';
+import { Achievements } from './Achievements.js?v=1.13';
 
 // Import configuration
 import { USDA_API_KEY } from './config.js?v=1.13';
@@ -21,6 +33,13 @@ import { UIController } from './ui/UIController.js?v=1.13';
 import { MealsUI } from './ui/MealsUI.js?v=1.13';
 import { FoodLogUI } from './ui/FoodLogUI.js?v=1.13';
 import { ProductsUI } from './ui/ProductsUI.js?v=1.13';
+import { ProfileUI } from './ui/ProfileUI.js?v=1.13';
+import { WeightLogUI } from './ui/WeightLogUI.js?v=1.13';
+import { FitnessImportUI } from './ui/FitnessImportUI.js?v=1.13';
+import { HistoryUI } from './ui/HistoryUI.js?v=1.13';
+import { AchievementsUI } from './ui/AchievementsUI.js?v=1.13';
+import { FastingUI } from './ui/FastingUI.js?v=1.13';
+import { FoodLogImportUI } from './ui/FoodLogImportUI.js?v=1.13';
 
 
 /**
@@ -31,21 +50,82 @@ class NutriPlanApp {
         // Initialize core services
         this.router = new Router();
         this.foodLog = new FoodLog();
+        this.profile = new UserProfile();
+        this.foodLog.profile = this.profile;  // Profile targets override the defaults once complete
+        this.waterLog = new WaterLog(this.foodLog);
+        this.weightLog = new WeightLog(this.foodLog, this.profile);
+        this.exerciseLog = new ExerciseLog(this.foodLog, this.profile);
+        this.foodLog.exerciseLog = this.exerciseLog;  // Burn counts against the target in net calories mode
+        this.fastingLog = new FastingLog(this.foodLog);
+        this.foodLogExporter = new FoodLogExporter(this.foodLog, this.waterLog);
+        this.foodLogImporter = new FoodLogImporter(this.foodLog);
+        this.fitnessImporter = new FitnessImporter(this.foodLog, this.exerciseLog, this.weightLog, this.foodLogImporter);
+        this.foodLogHistory = new FoodLogHistory(this.foodLog);
+        this.mealTemplates = new MealTemplates(this.foodLog);
+        this.foodLogStats = new FoodLogStats(this.foodLog);
+        this.achievements = new Achievements();
         this.mealService = new MealService();
         this.productService = new ProductService();
         this.nutritionService = new NutritionService(USDA_API_KEY);  // USDA nutrition API with configured key
 
         // Initialize UI controllers
         this.uiController = new UIController();
-        this.mealsUI = new MealsUI(this.mealService, this.foodLog, this.uiController, this.router, this.nutritionService);
-        this.foodLogUI = new FoodLogUI(this.foodLog, this.uiController, this.router);
-        this.productsUI = new ProductsUI(this.productService, this.foodLog, this.uiController);
+        this.mealsUI = new MealsUI(this.mealService, this.foodLog, this.uiController, this.router, this.nutritionService, this.foodLogHistory);
+        this.foodLogUI = new FoodLogUI(this.foodLog, this.uiController, this.router, this.foodLogExporter, this.foodLogHistory, this.mealTemplates, this.waterLog, this.exerciseLog, this.foodLogStats);
+        this.productsUI = new ProductsUI(this.productService, this.foodLog, this.uiController, this.foodLogHistory);
+        this.profileUI = new ProfileUI(this.profile, this.uiController);
+        this.weightLogUI = new WeightLogUI(this.weightLog, this.profile, this.uiController);
+        this.foodLogImportUI = new FoodLogImportUI(this.foodLogImporter, this.uiController, this.profile, this.waterLog);
+        this.fitnessImportUI = new FitnessImportUI(this.fitnessImporter, this.uiController);
+        this.historyUI = new HistoryUI(this.foodLogStats, this.uiController);
+        this.achievementsUI = new AchievementsUI(this.achievements, this.foodLogStats, this.uiController);
+        this.fastingUI = new FastingUI(this.fastingLog, this.foodLogHistory, this.uiController);
 
         // Make productsUI globally accessible for modal onclick handlers
         window.productsUI = this.productsUI;
 
+        // Offer recovery when the stored food log can't be read
+        this.foodLog.onCorruptData = (raw) => this.foodLogUI.showRecoveryPrompt(raw);
+
+        // Keep the food log current when another tab changes it, or an undo runs from another page's toast
+        const refreshFoodLog = () => {
+            if (this.router.getCurrentRoute() === 'foodlog') this.foodLogUI.scheduleRender();
+        };
+        this.foodLog.onChange = refreshFoodLog;
+        // Streaks re-read only the days whose entries changed
+        this.foodLog.onEntriesChange = (dateKeys) => this.foodLogStats.invalidateDays(dateKeys);
+        this.foodLogHistory.onChange = refreshFoodLog;
+        this.waterLog.onChange = refreshFoodLog;
+        this.waterLog.listenForChanges();
+        this.exerciseLog.onChange = refreshFoodLog;
+        this.exerciseLog.listenForChanges();
+        this.achievements.onChange = refreshFoodLog;
+        this.achievements.listenForChanges();
+        this.fastingLog.onChange = refreshFoodLog;
+        this.fastingLog.listenForChanges();
+
+        // Food logged from any page during a fast gets a warning
+        this.foodLogHistory.onItemsAdded = (entries) => this.fastingUI.warnIfFasting(entries);
+
+        // History, streaks and fasting sit on the Food Log page and follow every change to it
+        this.foodLogUI.onRender = () => {
+            this.fastingUI.render();
+            this.historyUI.render();
+            this.achievementsUI.render();
+        };
+
+        // A weigh-in updates the profile weight shown in the form
+        this.weightLogUI.onProfileChange = () => this.profileUI.render();
+
+        // Show imported entries right away
+        this.foodLogImportUI.onImported = () => this.foodLogUI.render();
+        this.fitnessImportUI.onImported = () => {
+            this.weightLogUI.syncProfileWeight();
+            this.foodLogUI.render();
+        };
+
         // Bind route change handler
-        this.router.onRouteChange = (route, mealId) => this.handleRouteChange(route, mealId);
+        this.router.onRouteChange = (route, param) => this.handleRouteChange(route, param);
     }
 
     /**
@@ -55,6 +135,14 @@ class NutriPlanApp {
         console.log('🥗 NutriPlan initializing...');
 
         try {
+            // Load and upgrade stored food log data; the rest of the app works without it
+            try {
+                await this.foodLog.init();
+            } catch (error) {
+                console.error('Error loading food log:', error);
+                this.uiController.showToast('Could not load your food log', 'error');
+            }
+
             // Setup navigation
             this.setupNavigation();
 
@@ -82,7 +170,7 @@ class NutriPlanApp {
      */
     setupNavigation() {
         const navLinks = document.querySelectorAll('.nav-link');
-        const routes = ['/home', '/scanner', '/foodlog'];
+        const routes = ['/home', '/scanner', '/foodlog', '/profile'];
 
         navLinks.forEach((link, index) => {
             link.addEventListener('click', (e) => {
@@ -94,9 +182,11 @@ class NutriPlanApp {
 
     /**
      * Handle route changes
+     * @param {string} route - The route name
+     * @param {string} param - Meal id for meal-details, date key for foodlog
      */
-    handleRouteChange(route, mealId) {
-        console.log(`📍 Route changed to: ${route}`, mealId ? `(meal: ${mealId})` : '');
+    handleRouteChange(route, param) {
+        console.log(`📍 Route changed to: ${route}`, param ? `(${param})` : '');
 
         // Show the appropriate page
         this.uiController.showPage(route);
@@ -108,8 +198,8 @@ class NutriPlanApp {
                 break;
 
             case 'meal-details':
-                if (mealId) {
-                    this.mealsUI.loadMealDetails(mealId);
+                if (param) {
+                    this.mealsUI.loadMealDetails(param);
                 }
                 break;
 
@@ -118,9 +208,15 @@ class NutriPlanApp {
                 break;
 
             case 'foodlog':
-                // Render food log with latest data
+                // Render food log for the requested day (today when none given)
+                this.foodLogUI.setSelectedDate(param);
                 this.foodLogUI.render();
                 break;
+
+            case 'profile':
+                this.profileUI.render();
+                this.weightLogUI.render();
+                break;
         }
     }
 }
@@ -234,7 +234,8 @@ export class ProductService {
                 sugar: Math.round((nutrients.sugars_100g || 0) * 10) / 10,
                 fiber: Math.round((nutrients.fiber_100g || 0) * 10) / 10,
                 salt: Math.round((nutrients.salt_100g || 0) * 1000) / 1000,
-                sodium: Math.round((nutrients.salt_100g || 0) * 1000) / 1000,
+                // Salt is 2.5x sodium by weight
+                sodium: Math.round((nutrients.sodium_100g ?? (nutrients.salt_100g || 0) / 2.5) * 1000) / 1000,
                 saturatedFat: Math.round((nutrients['saturated-fat_100g'] || 0) * 10) / 10
             }
         };
@@ -0,0 +1,162 @@
+/**
+ * IndexedDBAdapter - FoodLog storage in IndexedDB
+ * One record per entry, indexed by date key, so reads and writes touch
+ * only the days involved instead of the whole history.
+ */
+import { StorageAdapter } from './StorageAdapter.js?v=1.13';
+
+export class IndexedDBAdapter extends StorageAdapter {
+    constructor(dbName = 'nutriplan') {
+        super();
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.entriesStore = 'foodlog_entries';
+        this.metaStore = 'foodlog_meta';
+        this.db = null;
+    }
+
+    /**
+     * Check if the browser provides IndexedDB
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.entriesStore)) {
+                    const entries = db.createObjectStore(this.entriesStore, { keyPath: 'id' });
+                    entries.createIndex('dateKey', 'dateKey');
+                }
+                if (!db.objectStoreNames.contains(this.metaStore)) {
+                    db.createObjectStore(this.metaStore, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+        return this;
+    }
+
+    /**
+     * Run work inside a transaction; resolves with the value passed to done() once it commits
+     * @param {string|array} storeNames - Object stores to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} work - Receives (transaction, done)
+     */
+    transaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            work(tx, (value) => { result = value; });
+        });
+    }
+
+    /**
+     * Turn stored records into days keyed by date, sorted by timestamp
+     * @param {array} records - Stored entry records
+     */
+    groupRecords(records) {
+        const days = {};
+        records.forEach(({ dateKey, ...item }) => {
+            if (!days[dateKey]) days[dateKey] = [];
+            days[dateKey].push(item);
+        });
+        Object.values(days).forEach(items => {
+            items.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        });
+        return days;
+    }
+
+    async getMeta(key) {
+        return this.transaction(this.metaStore, 'readonly', (tx, done) => {
+            const request = tx.objectStore(this.metaStore).get(key);
+            request.onsuccess = () => done(request.result ? request.result.value : null);
+        });
+    }
+
+    async setMeta(key, value) {
+        return this.transaction(this.metaStore, 'readwrite', (tx) => {
+            tx.objectStore(this.metaStore).put({ key, value });
+        });
+    }
+
+    async getVersion() {
+        return this.getMeta('schemaVersion');
+    }
+
+    async setVersion(version) {
+        return this.setMeta('schemaVersion', version);
+    }
+
+    async getDay(dateKey) {
+        const days = await this.getRange(dateKey, dateKey);
+        return days[dateKey] || [];
+    }
+
+    async getRange(startKey, endKey) {
+        return this.transaction(this.entriesStore, 'readonly', (tx, done) => {
+            const index = tx.objectStore(this.entriesStore).index('dateKey');
+            const request = index.getAll(IDBKeyRange.bound(startKey, endKey));
+            request.onsuccess = () => done(this.groupRecords(request.result));
+        });
+    }
+
+    async getAll() {
+        return this.transaction(this.entriesStore, 'readonly', (tx, done) => {
+            const request = tx.objectStore(this.entriesStore).getAll();
+            request.onsuccess = () => done(this.groupRecords(request.result));
+        });
+    }
+
+    async putItem(dateKey, item) {
+        await this.applyChanges({ put: [{ dateKey, item }] });
+    }
+
+    async deleteItem(itemId, dateKey) {
+        await this.applyChanges({ remove: [{ itemId, dateKey }] });
+    }
+
+    async clearDay(dateKey) {
+        await this.transaction(this.entriesStore, 'readwrite', (tx) => {
+            const store = tx.objectStore(this.entriesStore);
+            const request = store.index('dateKey').getAllKeys(dateKey);
+            request.onsuccess = () => request.result.forEach(id => store.delete(id));
+        });
+        this.notifyChange([dateKey]);
+    }
+
+    async applyChanges({ put = [], remove = [] }) {
+        // Records are keyed by id, so a put under a new day moves the entry
+        await this.transaction(this.entriesStore, 'readwrite', (tx) => {
+            const store = tx.objectStore(this.entriesStore);
+            remove.forEach(({ itemId }) => store.delete(itemId));
+            put.forEach(({ dateKey, item }) => store.put({ ...item, dateKey }));
+        });
+        this.notifyChange([...put, ...remove].map(change => change.dateKey).filter(Boolean));
+    }
+
+    async replaceAll(days) {
+        await this.transaction(this.entriesStore, 'readwrite', (tx) => {
+            const store = tx.objectStore(this.entriesStore);
+            store.clear();
+            Object.entries(days).forEach(([dateKey, items]) => {
+                items.forEach(item => store.put({ ...item, dateKey }));
+            });
+        });
+        this.notifyChange(null);
+    }
+
+    async saveBackup(name, json) {
+        const key = `backup_${name}`;
+        if (await this.getMeta(key) !== null) return;
+        return this.setMeta(key, json);
+    }
+}
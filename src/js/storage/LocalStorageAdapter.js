@@ -0,0 +1,211 @@
+/**
+ * LocalStorageAdapter - FoodLog storage in a single LocalStorage blob
+ * Stored as { version, days }. Used when IndexedDB is unavailable.
+ */
+import { StorageAdapter } from './StorageAdapter.js?v=1.13';
+
+export class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} storageKey - LocalStorage key of the blob
+     * @param {string} legacyMigrationsKey - Key of the pre-versioning migration marker
+     * @param {number} newVersion - Schema version stamped on a blob created from scratch
+     */
+    constructor(storageKey, legacyMigrationsKey, newVersion) {
+        super();
+        this.storageKey = storageKey;
+        this.legacyMigrationsKey = legacyMigrationsKey;
+        this.newVersion = newVersion;
+    }
+
+    /**
+     * Check if anything is stored under the key
+     */
+    hasData() {
+        return localStorage.getItem(this.storageKey) !== null;
+    }
+
+    /**
+     * Read the blob as { version, days }
+     * Returns null when nothing is stored or the data is unreadable
+     */
+    readStore() {
+        if (this.corruptData !== null) return null;
+
+        const raw = localStorage.getItem(this.storageKey);
+        if (!raw) return null;
+
+        try {
+            return this.parseStore(raw);
+        } catch (error) {
+            console.error('Error reading food log:', error);
+            this.corruptData = raw;
+            if (this.onCorruptData) {
+                this.onCorruptData(raw, error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Parse the stored JSON into { version, days }
+     * Blobs from before versioning are a bare days map
+     * @param {string} raw - The stored JSON
+     */
+    parseStore(raw) {
+        const parsed = JSON.parse(raw);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('Food log data is not an object');
+        }
+        if (typeof parsed.version === 'number') {
+            if (!parsed.days || typeof parsed.days !== 'object') {
+                throw new Error('Food log data has no days');
+            }
+            return parsed;
+        }
+        return { version: this.getLegacyVersion(), days: parsed };
+    }
+
+    /**
+     * Version of an unversioned blob, from the one-time fixes it already had applied
+     */
+    getLegacyVersion() {
+        try {
+            const applied = JSON.parse(localStorage.getItem(this.legacyMigrationsKey)) || [];
+            if (applied.includes('local-day-keys')) return 2;
+            if (applied.includes('per-serving-macros')) return 1;
+        } catch (error) {
+            // Unreadable marker - treat as never migrated
+        }
+        return 0;
+    }
+
+    /**
+     * Write the blob; refused while stored data is unreadable so it is never overwritten
+     * @param {object} store - { version, days }
+     */
+    writeStore(store) {
+        if (this.corruptData !== null) {
+            console.warn('Food log data is unreadable; not saving until it is recovered');
+            return;
+        }
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(store));
+            localStorage.removeItem(this.legacyMigrationsKey);
+        } catch (error) {
+            console.error('Error saving food log:', error);
+        }
+    }
+
+    /**
+     * Read, change and write back the days map
+     * @param {function} change - Receives the days map and mutates it
+     */
+    updateDays(change) {
+        const store = this.readStore() || { version: this.newVersion, days: {} };
+        change(store.days);
+        this.writeStore(store);
+    }
+
+    async getVersion() {
+        const store = this.readStore();
+        return store ? store.version : null;
+    }
+
+    async setVersion(version) {
+        const store = this.readStore() || { days: {} };
+        this.writeStore({ ...store, version });
+    }
+
+    async getDay(dateKey) {
+        const store = this.readStore();
+        return store?.days[dateKey] || [];
+    }
+
+    async getRange(startKey, endKey) {
+        const days = await this.getAll();
+        const range = {};
+        Object.keys(days)
+            .filter(key => key >= startKey && key <= endKey)
+            .forEach(key => { range[key] = days[key]; });
+        return range;
+    }
+
+    async getAll() {
+        const store = this.readStore();
+        return store ? store.days : {};
+    }
+
+    async putItem(dateKey, item) {
+        await this.applyChanges({ put: [{ dateKey, item }] });
+    }
+
+    async deleteItem(itemId, dateKey) {
+        await this.applyChanges({ remove: [{ itemId, dateKey }] });
+    }
+
+    async clearDay(dateKey) {
+        this.updateDays(days => { delete days[dateKey]; });
+        this.notifyChange([dateKey]);
+    }
+
+    async applyChanges({ put = [], remove = [] }) {
+        // Read, change and write in one go so entries another tab just added are kept
+        this.updateDays(days => {
+            const dropIds = (dateKey, ids) => {
+                if (!days[dateKey]) return;
+                days[dateKey] = days[dateKey].filter(item => !ids.has(item.id));
+                if (days[dateKey].length === 0) delete days[dateKey];
+            };
+            remove.forEach(({ itemId, dateKey }) => dropIds(dateKey, new Set([itemId])));
+
+            // Entries are unique by id, so a put under a new day moves the entry
+            const putIds = new Set(put.map(({ item }) => item.id));
+            if (putIds.size > 0) Object.keys(days).forEach(dateKey => dropIds(dateKey, putIds));
+            put.forEach(({ dateKey, item }) => {
+                days[dateKey] = [...(days[dateKey] || []), item];
+            });
+            new Set(put.map(({ dateKey }) => dateKey)).forEach(dateKey => {
+                days[dateKey].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+            });
+        });
+        this.notifyChange([...put, ...remove].map(change => change.dateKey).filter(Boolean));
+    }
+
+    async replaceAll(days) {
+        const store = this.readStore();
+        this.writeStore({ version: store ? store.version : this.newVersion, days });
+        this.notifyChange(null);
+    }
+
+    async saveBackup(name, json) {
+        const backupKey = `${this.storageKey}_${name}`;
+        if (localStorage.getItem(backupKey) !== null) return;
+        try {
+            localStorage.setItem(backupKey, json);
+        } catch (error) {
+            console.error('Error backing up food log:', error);
+        }
+    }
+
+    async recover() {
+        if (this.corruptData === null) return null;
+        let backupKey = `${this.storageKey}_corrupt_${Date.now()}`;
+        try {
+            localStorage.setItem(backupKey, this.corruptData);
+        } catch (error) {
+            console.error('Error backing up corrupt food log:', error);
+            backupKey = null;
+        }
+        this.corruptData = null;
+        localStorage.removeItem(this.storageKey);
+        return backupKey;
+    }
+
+    /**
+     * Remove the blob (after it has been moved to another backend)
+     */
+    remove() {
+        localStorage.removeItem(this.storageKey);
+        localStorage.removeItem(this.legacyMigrationsKey);
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * StorageAdapter - Interface for FoodLog storage backends
+ * All methods are async. Days are keyed by date key (YYYY-MM-DD) and hold
+ * arrays of log entries sorted by timestamp.
+ * Writes are announced to other tabs (BroadcastChannel, or storage events where
+ * that is unavailable) so every open tab can refresh.
+ */
+export class StorageAdapter {
+    constructor() {
+        // Called with (raw, error) when stored data can't be read
+        this.onCorruptData = null;
+        // Raw unreadable data, or null when storage is healthy
+        this.corruptData = null;
+        // Called with { dateKeys } when another tab changes stored data (dateKeys null = anything)
+        this.onChange = null;
+        // Called with dateKeys (null = anything) when this tab changes stored data
+        this.onWrite = null;
+        this.channelName = 'nutriplan_foodlog_changes';
+        this.channel = null;
+    }
+
+    /**
+     * Start listening for changes made in other tabs
+     */
+    listenForChanges() {
+        const channel = this.getChannel();
+        if (channel) {
+            channel.onmessage = (event) => this.handleRemoteChange(event.data);
+        } else if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (event) => {
+                if (event.key !== this.channelName || !event.newValue) return;
+                try {
+                    this.handleRemoteChange(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.error('Error reading food log change from another tab:', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * The BroadcastChannel to other tabs, or null when the browser has none
+     */
+    getChannel() {
+        if (!this.channel && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+        }
+        return this.channel;
+    }
+
+    /**
+     * @param {object} message - { dateKeys } sent by another tab
+     */
+    handleRemoteChange(message) {
+        if (this.onChange) this.onChange({ dateKeys: message?.dateKeys || null });
+    }
+
+    /**
+     * Tell other tabs that stored data changed
+     * @param {array|null} dateKeys - Days that changed, or null when it may be any day
+     */
+    notifyChange(dateKeys = null) {
+        const message = { dateKeys: dateKeys ? [...new Set(dateKeys)] : null, at: Date.now() };
+        if (this.onWrite) this.onWrite(message.dateKeys);
+        try {
+            const channel = this.getChannel();
+            if (channel) {
+                channel.postMessage(message);
+            } else {
+                // The storage event only fires in other tabs, and only when the value changes
+                localStorage.setItem(this.channelName, JSON.stringify({ ...message, nonce: Math.random() }));
+            }
+        } catch (error) {
+            console.error('Error notifying other tabs about a food log change:', error);
+        }
+    }
+
+    /**
+     * Stop listening for changes from other tabs
+     */
+    close() {
+        this.channel?.close();
+        this.channel = null;
+    }
+
+    /**
+     * Open the backend; resolves to the adapter
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * Get the stored schema version, or null when nothing is stored yet
+     */
+    async getVersion() {
+        throw new Error(`${this.constructor.name}.getVersion is not implemented`);
+    }
+
+    /**
+     * Set the stored schema version
+     * @param {number} version - Schema version
+     */
+    async setVersion(version) {
+        throw new Error(`${this.constructor.name}.setVersion is not implemented`);
+    }
+
+    /**
+     * Get the entries for one day
+     * @param {string} dateKey - The date key
+     */
+    async getDay(dateKey) {
+        throw new Error(`${this.constructor.name}.getDay is not implemented`);
+    }
+
+    /**
+     * Get all days between two date keys (inclusive), keyed by date
+     * @param {string} startKey - First date key
+     * @param {string} endKey - Last date key
+     */
+    async getRange(startKey, endKey) {
+        throw new Error(`${this.constructor.name}.getRange is not implemented`);
+    }
+
+    /**
+     * Get every stored day, keyed by date
+     */
+    async getAll() {
+        throw new Error(`${this.constructor.name}.getAll is not implemented`);
+    }
+
+    /**
+     * Insert an entry, or replace the entry with the same id on that day
+     * @param {string} dateKey - The date key
+     * @param {object} item - The log entry
+     */
+    async putItem(dateKey, item) {
+        throw new Error(`${this.constructor.name}.putItem is not implemented`);
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} itemId - The entry id
+     * @param {string} dateKey - The day the entry is stored under
+     */
+    async deleteItem(itemId, dateKey) {
+        throw new Error(`${this.constructor.name}.deleteItem is not implemented`);
+    }
+
+    /**
+     * Delete every entry of a day
+     * @param {string} dateKey - The date key
+     */
+    async clearDay(dateKey) {
+        throw new Error(`${this.constructor.name}.clearDay is not implemented`);
+    }
+
+    /**
+     * Apply several entry changes together, leaving every other entry untouched
+     * An entry put under a new day is moved there (entries are unique by id).
+     * @param {object} changes - { put: [{ dateKey, item }], remove: [{ itemId, dateKey }] }
+     */
+    async applyChanges(changes) {
+        throw new Error(`${this.constructor.name}.applyChanges is not implemented`);
+    }
+
+    /**
+     * Replace all stored days
+     * Discards entries other tabs added since they were read - prefer applyChanges.
+     * @param {object} days - Days keyed by date
+     */
+    async replaceAll(days) {
+        throw new Error(`${this.constructor.name}.replaceAll is not implemented`);
+    }
+
+    /**
+     * Keep a copy of data under a named backup
+     * @param {string} name - Backup name
+     * @param {string} json - The data to keep
+     */
+    async saveBackup(name, json) {
+        throw new Error(`${this.constructor.name}.saveBackup is not implemented`);
+    }
+
+    /**
+     * Start over after unreadable data, keeping a backup copy of it
+     * @returns {Promise<string|null>} Backup name, or null if no copy could be kept
+     */
+    async recover() {
+        return null;
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * FoodLog storage migrations
+ * Each migration upgrades the stored days map from (version - 1) to version.
+ * Never edit a released migration - add a new one and bump FOODLOG_SCHEMA_VERSION.
+ */
+
+export const FOODLOG_SCHEMA_VERSION = 3;
+
+export const FOODLOG_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Store meal macros per serving',
+        // Meal entries were pre-multiplied by servings and then by quantity again in calculateTotals
+        migrate(days) {
+            Object.values(days).forEach(items => {
+                items.forEach(item => {
+                    const qty = item.quantity || 1;
+                    if (item.type !== 'meal' || qty <= 1) return;
+                    ['calories', 'protein', 'carbs', 'fat'].forEach(key => {
+                        item[key] = Math.round((item[key] || 0) / qty);
+                    });
+                });
+            });
+            return days;
+        }
+    },
+    {
+        version: 2,
+        description: 'File entries under local-time day keys',
+        // Day keys used to be UTC dates; re-file entries by their local timestamp
+        migrate(days, foodLog) {
+            return foodLog.regroupByTimestamp(days);
+        }
+    },
+    {
+        version: 3,
+        description: 'Give every entry a unique id',
+        // Ids used to be Date.now(), which collides for entries logged in the same millisecond;
+        // IndexedDB keys entries by id, so duplicates would overwrite each other
+        migrate(days, foodLog) {
+            const seen = new Set();
+            Object.values(days).forEach(items => {
+                items.forEach(item => {
+                    if (!item.id || seen.has(item.id)) item.id = foodLog.createId();
+                    seen.add(item.id);
+                });
+            });
+            return days;
+        }
+    }
+];
+
+/**
+ * Upgrade a days map to the current schema version
+ * @param {object} days - Stored days map
+ * @param {number} fromVersion - Version the data is stored at
+ * @param {object} foodLog - FoodLog instance, for date helpers
+ * @returns {{ days: object, version: number, error: Error|null }} The furthest version reached
+ */
+export function runMigrations(days, fromVersion, foodLog) {
+    let current = days;
+    let version = fromVersion;
+
+    for (const migration of FOODLOG_MIGRATIONS) {
+        if (migration.version <= version) continue;
+        try {
+            current = migration.migrate(current, foodLog);
+            version = migration.version;
+        } catch (error) {
+            console.error(`Food log migration to v${migration.version} (${migration.description}) failed:`, error);
+            return { days: current, version, error };
+        }
+    }
+
+    return { days: current, version, error: null };
+}
@@ -0,0 +1,70 @@
+/**
+ * AchievementsUI - Streaks, personal bests and achievements on the Food Log page
+ */
+export class AchievementsUI {
+    constructor(achievements, stats, uiController) {
+        this.achievements = achievements;
+        this.stats = stats;
+        this.uiController = uiController;
+        this.elements = {
+            streaks: document.getElementById('streak-stats'),
+            list: document.getElementById('achievements-list')
+        };
+    }
+
+    async render() {
+        if (!this.elements.streaks && !this.elements.list) return;
+        try {
+            const streaks = await this.stats.getStreaks();
+            this.announce(this.achievements.check(streaks));
+            this.renderStreaks(streaks);
+            this.renderAchievements();
+        } catch (error) {
+            console.error('Error loading streaks:', error);
+        }
+    }
+
+    /**
+     * Toast newly unlocked achievements
+     * @param {array} earned - From Achievements.check
+     */
+    announce(earned) {
+        if (earned.length === 0) return;
+        const message = earned.length === 1
+            ? `Achievement unlocked: ${earned[0].label}`
+            : `${earned.length} achievements unlocked`;
+        this.uiController.showToast(message, 'success');
+    }
+
+    /**
+     * Current streaks and personal bests
+     * @param {object} streaks - From FoodLogStats.getStreaks
+     */
+    renderStreaks(streaks) {
+        const { streaks: container } = this.elements;
+        if (!container) return;
+        const days = (n) => `${n} day${n !== 1 ? 's' : ''}`;
+        const bestNote = (streak) => streak.best > 0 ? `Best: ${days(streak.best)}` : 'No streak yet';
+        const cards = [
+            { label: 'Logging Streak', value: days(streaks.logging.current), note: bestNote(streaks.logging), icon: 'fa-fire', col: 'orange' },
+            { label: 'On-Goal Streak', value: days(streaks.onGoal.current), note: bestNote(streaks.onGoal), icon: 'fa-bullseye', col: 'purple' },
+            { label: 'Best Week On Goal', value: `${streaks.bestWeekOnGoal} / 7`, note: 'Most on-goal days in 7 days', icon: 'fa-trophy', col: 'amber' },
+            { label: 'Days Logged', value: streaks.daysLogged, note: 'All time', icon: 'fa-calendar-check', col: 'blue' }
+        ];
+        container.innerHTML = cards.map(c => `<div class="rounded-xl p-4 border border-gray-200 flex items-center gap-4">
+            <div class="w-12 h-12 rounded-xl bg-${c.col}-100 flex items-center justify-center"><i class="fa-solid ${c.icon} text-${c.col}-600 text-xl"></i></div>
+            <div><p class="text-sm text-gray-500">${c.label}</p><p class="text-xl font-bold text-gray-900">${c.value}</p><p class="text-xs text-gray-400">${c.note}</p></div></div>`).join('');
+    }
+
+    renderAchievements() {
+        const { list } = this.elements;
+        if (!list) return;
+        list.innerHTML = this.achievements.getAll().map(a => {
+            const title = a.unlockedAt ? `Unlocked ${new Date(a.unlockedAt).toLocaleDateString()}` : 'Locked';
+            return `<div class="text-center p-3 rounded-xl border ${a.unlockedAt ? 'border-amber-200 bg-amber-50' : 'border-gray-100 opacity-50'}" title="${title}">
+                <i class="fa-solid ${a.unlockedAt ? a.icon : 'fa-lock'} text-2xl ${a.unlockedAt ? 'text-amber-500' : 'text-gray-300'} mb-2"></i>
+                <p class="text-sm font-semibold text-gray-900">${a.label}</p>
+                <p class="text-xs text-gray-500">${a.description}</p></div>`;
+        }).join('');
+    }
+}
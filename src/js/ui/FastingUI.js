@@ -0,0 +1,209 @@
+/**
+ * FastingUI - Fasting timer and fasting history on the Food Log page
+ */
+export class FastingUI {
+    constructor(fastingLog, history, uiController) {
+        this.fastingLog = fastingLog;
+        this.foodLog = fastingLog.foodLog;
+        this.history = history;
+        this.uiController = uiController;
+        // Days in the history chart
+        this.chartDays = 14;
+        // Refreshes the elapsed time while a fast runs
+        this.timer = null;
+        this.elements = {
+            timer: document.getElementById('fasting-timer'),
+            historyPanel: document.getElementById('fasting-history'),
+            chart: document.getElementById('fasting-chart')
+        };
+        // Plotly can't size a chart inside a closed panel, so draw it when opened
+        this.elements.historyPanel?.addEventListener('toggle', () => this.renderChart());
+    }
+
+    async render() {
+        await Promise.all([this.renderTimer(), this.renderChart()]);
+    }
+
+    /**
+     * Hours as "16h 05m"
+     * @param {number} hours - Duration in hours
+     */
+    formatHours(hours) {
+        const minutes = Math.max(0, Math.floor(hours * 60));
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    /**
+     * Time of day, with the weekday when it isn't today
+     * @param {string|Date} time - The time
+     */
+    formatTime(time) {
+        const date = new Date(time);
+        const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return date.toDateString() === new Date().toDateString() ? clock : `${date.toLocaleDateString('en-US', { weekday: 'short' })} ${clock}`;
+    }
+
+    async renderTimer() {
+        const container = this.elements.timer;
+        if (!container) return;
+        const active = this.fastingLog.getActive();
+        const protocol = active ? this.fastingLog.getProtocol(active.protocolId) : this.fastingLog.getCurrentProtocol();
+        const options = this.fastingLog.protocols.map(p => `<option value="${p.id}" ${p.id === protocol.id ? 'selected' : ''}>${p.label}</option>`).join('');
+        const header = `<div class="flex items-center justify-between mb-2">
+            <span class="text-sm font-medium text-gray-700"><i class="fa-solid fa-hourglass-half text-amber-500 mr-1"></i>Fasting</span>
+            <select id="fasting-protocol" class="px-2 py-1 border rounded-lg text-xs" aria-label="Fasting protocol">${options}</select></div>`;
+
+        if (active) {
+            const elapsed = this.fastingLog.getHours(active.startedAt, new Date());
+            const pct = elapsed / protocol.fastHours * 100;
+            const goal = new Date(new Date(active.startedAt).getTime() + protocol.fastHours * 3600000);
+            const today = this.foodLog.getDateKey();
+            const recent = Object.values(await this.foodLog.getRangeData(this.foodLog.shiftDateKey(today, -1), today)).flat();
+            const eaten = this.fastingLog.getEntriesDuringFast(recent);
+            container.innerHTML = `${header}
+                <div class="w-full bg-gray-100 rounded-full h-2 mb-2">
+                    <div class="${pct >= 100 ? 'bg-emerald-500' : 'bg-amber-500'} h-2 rounded-full transition-all" style="width: ${Math.min(100, pct)}%"></div>
+                </div>
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <div class="text-xs"><span class="font-semibold ${pct >= 100 ? 'text-emerald-600' : 'text-amber-600'}">${this.formatHours(elapsed)}</span>
+                    <span class="text-gray-400">/ ${protocol.fastHours}h · started ${this.formatTime(active.startedAt)} · ${pct >= 100 ? 'goal reached' : `goal ${this.formatTime(goal)}`}</span></div>
+                    <div class="flex gap-2 text-xs">
+                        <button id="stop-fast-btn" class="px-3 py-1.5 bg-amber-50 text-amber-700 rounded-lg font-medium hover:bg-amber-100"><i class="fa-solid fa-utensils mr-1"></i>End Fast</button>
+                        <button id="cancel-fast-btn" class="px-2 py-1.5 text-gray-400 hover:text-red-500" aria-label="Cancel fast"><i class="fa-solid fa-xmark"></i></button>
+                    </div>
+                </div>
+                ${eaten.length > 0 ? `<p class="text-xs text-red-500 mt-2"><i class="fa-solid fa-triangle-exclamation mr-1"></i>${eaten.length} item${eaten.length !== 1 ? 's' : ''} logged during this fast</p>` : ''}`;
+        } else {
+            const lastMeal = await this.fastingLog.getLastMealTime();
+            const [eatingWindow] = await this.fastingLog.getEatingWindows(this.foodLog.getDateKey(), this.foodLog.getDateKey());
+            container.innerHTML = `${header}
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <div class="text-xs text-gray-500">
+                        ${lastMeal ? `Last meal ${this.formatTime(lastMeal)} (${this.formatHours(this.fastingLog.getHours(lastMeal, new Date()))} ago)` : 'No meals logged since yesterday'}
+                        ${eatingWindow.first ? `<br>Eating window today: ${this.formatTime(eatingWindow.first)}–${this.formatTime(eatingWindow.last)} (${this.formatHours(eatingWindow.windowHours)})` : ''}
+                    </div>
+                    <div class="flex gap-2 text-xs">
+                        ${lastMeal ? '<button id="start-fast-last-meal-btn" class="px-3 py-1.5 bg-amber-50 text-amber-700 rounded-lg font-medium hover:bg-amber-100">Since Last Meal</button>' : ''}
+                        <button id="start-fast-btn" class="px-3 py-1.5 bg-amber-500 text-white rounded-lg font-medium hover:bg-amber-600"><i class="fa-solid fa-play mr-1"></i>Start Fast</button>
+                    </div>
+                </div>`;
+            container.querySelector('#start-fast-last-meal-btn')?.addEventListener('click', () => this.startFast(new Date(lastMeal)));
+            container.querySelector('#start-fast-btn').addEventListener('click', () => this.startFast());
+        }
+
+        container.querySelector('#fasting-protocol').addEventListener('change', (e) => {
+            this.fastingLog.setProtocol(e.target.value);
+            this.render();
+        });
+        container.querySelector('#stop-fast-btn')?.addEventListener('click', () => this.stopFast());
+        container.querySelector('#cancel-fast-btn')?.addEventListener('click', () => this.cancelFast());
+        this.updateTicker(!!active);
+    }
+
+    /**
+     * Keep the elapsed time current while a fast runs; each render restarts the ticker
+     * @param {boolean} running - Whether a fast is running
+     */
+    updateTicker(running) {
+        clearInterval(this.timer);
+        this.timer = running ? setInterval(() => this.tick(), 60000) : null;
+    }
+
+    /**
+     * Refresh the elapsed time, or stop once the timer is hidden (the page was left)
+     */
+    tick() {
+        if (!this.elements.timer || this.elements.timer.offsetParent === null) {
+            this.updateTicker(false);
+            return;
+        }
+        this.renderTimer();
+    }
+
+    /**
+     * @param {Date} startedAt - Optional start; defaults to now
+     */
+    startFast(startedAt = new Date()) {
+        if (!this.fastingLog.start(startedAt)) {
+            this.uiController.showToast('A fast is already running', 'error');
+            return;
+        }
+        this.render();
+        this.uiController.showToast(`${this.fastingLog.getCurrentProtocol().label} fast started`, 'success');
+    }
+
+    stopFast() {
+        const fast = this.fastingLog.stop();
+        if (!fast) return;
+        this.render();
+        const hours = this.fastingLog.getHours(fast.start, fast.end);
+        this.uiController.showToast(`Fasted ${this.formatHours(hours)}${hours >= fast.targetHours ? ' - goal reached' : ''}`, 'success', {
+            label: 'Undo',
+            onClick: () => { this.fastingLog.resume(fast); this.render(); }
+        });
+    }
+
+    cancelFast() {
+        const active = this.fastingLog.cancel();
+        if (!active) return;
+        this.render();
+        this.uiController.showToast('Fast cancelled', 'info', {
+            label: 'Undo',
+            onClick: () => { this.fastingLog.restore(active); this.render(); }
+        });
+    }
+
+    /**
+     * Warn when food is logged while a fast runs
+     * Runs after the caller's own toast, which it replaces, so it keeps the Undo.
+     * Only entries for today up to now count; back-filled and future entries don't break the fast.
+     * @param {array} entries - Entries just logged
+     */
+    warnIfFasting(entries) {
+        const today = this.foodLog.getDateKey();
+        const now = new Date().toISOString();
+        const eaten = this.fastingLog.getEntriesDuringFast(entries)
+            .filter(e => e.timestamp <= now && this.foodLog.getEntryDateKey(e, null) === today);
+        if (eaten.length === 0) return;
+        const active = this.fastingLog.getActive();
+        const elapsed = this.formatHours(this.fastingLog.getHours(active.startedAt, new Date()));
+        setTimeout(() => {
+            this.uiController.showToast(`Logged ${elapsed} into your fast`, 'error', {
+                label: 'Undo',
+                onClick: () => this.history.undo().catch(error => {
+                    console.error('Error undoing:', error);
+                    this.uiController.showToast('Could not undo', 'error');
+                })
+            });
+        }, 0);
+    }
+
+    /**
+     * Fasting hours per day against the protocol target
+     */
+    async renderChart() {
+        const { chart, historyPanel } = this.elements;
+        if (!chart || typeof Plotly === 'undefined' || (historyPanel && !historyPanel.open)) return;
+        const endKey = this.foodLog.getDateKey();
+        const days = await this.fastingLog.getHistory(this.foodLog.shiftDateKey(endKey, -(this.chartDays - 1)), endKey);
+        if (days.every(day => day.hours === null)) {
+            chart.innerHTML = '<p class="text-center text-gray-400 py-16">Log meals on consecutive days or use the timer to see your fasts</p>';
+            return;
+        }
+        const x = days.map(day => day.date);
+        const traces = [
+            {
+                x,
+                y: days.map(day => day.hours === null ? null : Math.round(day.hours * 10) / 10),
+                text: days.map(day => day.source === 'timer' ? 'Timer' : 'From log'),
+                hovertemplate: '%{y}h (%{text})<extra></extra>',
+                type: 'bar',
+                marker: { color: days.map(day => day.hours >= day.targetHours ? '#10b981' : '#f59e0b') }
+            },
+            { x, y: days.map(day => day.targetHours), type: 'scatter', mode: 'lines', hoverinfo: 'skip', line: { color: '#6366f1', dash: 'dash', width: 1, shape: 'hv' } }
+        ];
+        const layout = { showlegend: false, margin: { t: 10, l: 40, r: 10, b: 40 }, paper_bgcolor: 'rgba(0,0,0,0)', plot_bgcolor: 'rgba(0,0,0,0)', yaxis: { ticksuffix: 'h' } };
+        chart.innerHTML = '';
+        Plotly.newPlot(chart, traces, layout, { responsive: true, displayModeBar: false });
+    }
+}
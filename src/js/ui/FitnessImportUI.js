@@ -0,0 +1,121 @@
+/**
+ * FitnessImportUI - Import modal for fitness app exports
+ * Steps: choose a file -> review what will be added -> import
+ */
+import { escapeHtml } from './components.js?v=1.13';
+
+export class FitnessImportUI {
+    constructor(importer, uiController) {
+        this.importer = importer;
+        this.uiController = uiController;
+        // Called after data has been imported
+        this.onImported = null;
+        this.modal = null;
+        this.state = null;
+        document.getElementById('fitness-import-btn')?.addEventListener('click', () => this.open());
+    }
+
+    open() {
+        this.close();
+        this.state = { fileName: '', parsed: null, plan: null };
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        this.modal.addEventListener('click', (e) => { if (e.target === this.modal) this.close(); });
+        document.body.appendChild(this.modal);
+        this.renderFileStep();
+    }
+
+    close() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    /**
+     * Show a step inside the modal
+     * @param {string} title - Step title
+     * @param {string} body - Step HTML
+     */
+    renderStep(title, body) {
+        this.modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto"><h3 class="text-xl font-bold mb-4">${title}</h3>${body}</div>`;
+        this.modal.querySelector('#cancel-btn')?.addEventListener('click', () => this.close());
+    }
+
+    renderFileStep() {
+        this.renderStep('Import Fitness Data', `<form id="fitness-file-form" class="space-y-4">
+            <div><label class="block text-sm font-medium mb-1">File *</label><input type="file" name="file" required accept=".csv,.xml,.gpx,.tcx" class="w-full px-4 py-2 border rounded-lg" />
+            <ul class="text-xs text-gray-500 mt-2 space-y-1">
+            <li><span class="font-semibold">Google Fit:</span> "Daily activity metrics.csv" from Google Takeout</li>
+            <li><span class="font-semibold">Apple Health:</span> export.xml from the unzipped Health export</li>
+            <li><span class="font-semibold">Workouts:</span> GPX or TCX files from Strava, Garmin and others</li></ul>
+            <p class="text-xs text-gray-400 mt-2"><i class="fa-solid fa-lock mr-1"></i>Files are read on this device and never uploaded.</p></div>
+            <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg">Next</button></div></form>`);
+
+        this.modal.querySelector('#fitness-file-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const file = new FormData(e.target).get('file');
+            const submit = e.target.querySelector('button[type="submit"]');
+            submit.disabled = true;
+            submit.textContent = 'Reading...';
+            try {
+                this.state.fileName = file.name;
+                this.state.parsed = await this.importer.parseFile(file);
+                this.renderPreviewStep();
+            } catch (error) {
+                console.error('Error reading fitness file:', error);
+                this.uiController.showToast(error.message, 'error');
+                submit.disabled = false;
+                submit.textContent = 'Next';
+            }
+        });
+    }
+
+    renderPreviewStep() {
+        const { parsed } = this.state;
+        const plan = this.importer.planImport(parsed);
+        this.state.plan = plan;
+
+        const stats = [
+            { label: 'New activity', value: plan.exercise.added.length, cls: 'text-emerald-600' },
+            { label: 'Updated activity', value: plan.exercise.updated.length, cls: 'text-blue-600' },
+            { label: 'New weigh-ins', value: plan.weights.added.length + plan.weights.updated.length, cls: 'text-sky-600' },
+            { label: 'Already imported', value: plan.exercise.duplicates.length + plan.weights.duplicates.length, cls: 'text-gray-600' }
+        ];
+        const incoming = [...plan.exercise.added, ...plan.exercise.updated].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        const detail = (e) => [e.steps ? `${e.steps.toLocaleString()} steps` : '', e.durationMin ? `${e.durationMin} min` : '', `${e.calories} kcal`].filter(Boolean).join(' · ');
+        const preview = incoming.length > 0
+            ? `<p class="text-sm font-semibold text-gray-700 mb-2">Preview</p><div class="border rounded-lg mb-4"><table class="w-full text-sm text-gray-600"><tbody>
+                ${incoming.slice(0, 10).map(e => `<tr><td class="px-2 py-1 whitespace-nowrap">${this.importer.foodLog.getEntryDateKey(e, '')}</td><td class="px-2 py-1">${escapeHtml(e.name)}</td><td class="px-2 py-1 text-right whitespace-nowrap">${detail(e)}</td></tr>`).join('')}</tbody></table>
+                ${incoming.length > 10 ? `<p class="text-xs text-gray-400 px-2 py-1">and ${incoming.length - 10} more</p>` : ''}</div>`
+            : '';
+        const kept = plan.weights.kept.length > 0
+            ? `<p class="text-xs text-gray-500 mb-4">${plan.weights.kept.length} days already have a weigh-in you entered; those are kept.</p>`
+            : '';
+        const errors = parsed.errors.length > 0
+            ? `<details class="mb-4"><summary class="text-sm text-red-600 cursor-pointer">${parsed.errors.length} items can't be imported</summary>
+                <ul class="text-xs text-gray-500 mt-2 space-y-1">${parsed.errors.slice(0, 20).map(e => `<li>${e.row}: ${escapeHtml(e.message)}</li>`).join('')}</ul></details>`
+            : '';
+        const total = incoming.length + plan.weights.added.length + plan.weights.updated.length;
+
+        this.renderStep(`Review ${this.importer.sources[parsed.source]} Import`, `<p class="text-sm text-gray-600 mb-4">${escapeHtml(this.state.fileName)}</p>
+            <div class="grid grid-cols-2 gap-3 mb-4">${stats.map(s => `<div class="border border-gray-200 rounded-xl p-3 text-center">
+            <p class="text-xl font-bold ${s.cls}">${s.value}</p><p class="text-xs text-gray-500">${s.label}</p></div>`).join('')}</div>
+            ${preview}${kept}${errors}
+            <div class="flex gap-3 pt-4"><button type="button" id="back-btn" class="flex-1 px-4 py-2 border rounded-lg">Back</button>
+            <button type="button" id="import-btn" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg" ${total === 0 ? 'disabled' : ''}>Import</button></div>`);
+
+        this.modal.querySelector('#back-btn').addEventListener('click', () => this.renderFileStep());
+        this.modal.querySelector('#import-btn').addEventListener('click', () => this.handleImport());
+    }
+
+    handleImport() {
+        try {
+            const result = this.importer.applyImport(this.state.plan);
+            this.close();
+            this.uiController.showToast(`Imported ${result.exercise} activity entries and ${result.weights} weigh-ins`, 'success');
+            if (this.onImported) this.onImported(result);
+        } catch (error) {
+            console.error('Error importing fitness data:', error);
+            this.uiController.showToast('Could not import the fitness data', 'error');
+        }
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * FoodLogImportUI - Import modal for the Food Log page
+ * Steps: choose a file and mode -> map CSV columns -> review the preview and conflicts -> import
+ */
+import { escapeHtml } from './components.js?v=1.13';
+
+export class FoodLogImportUI {
+    constructor(importer, uiController, profile, water = null) {
+        this.importer = importer;
+        this.uiController = uiController;
+        this.profile = profile;
+        this.water = water;
+        // Called after data has been imported
+        this.onImported = null;
+        this.modal = null;
+        this.state = null;
+        document.getElementById('foodlog-import-btn')?.addEventListener('click', () => this.open());
+    }
+
+    open() {
+        this.close();
+        this.state = { mode: 'merge', fileName: '', csv: null, mapping: null, dateFormat: null, parsed: null, plan: null };
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        this.modal.addEventListener('click', (e) => { if (e.target === this.modal) this.close(); });
+        document.body.appendChild(this.modal);
+        this.renderFileStep();
+    }
+
+    close() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    /**
+     * Show a step inside the modal
+     * @param {string} title - Step title
+     * @param {string} body - Step HTML
+     */
+    renderStep(title, body) {
+        this.modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto"><h3 class="text-xl font-bold mb-4">${title}</h3>${body}</div>`;
+        this.modal.querySelector('#cancel-btn')?.addEventListener('click', () => this.close());
+    }
+
+    renderFileStep() {
+        this.renderStep('Import Food Log', `<form id="import-file-form" class="space-y-4">
+            <div><label class="block text-sm font-medium mb-1">File *</label><input type="file" name="file" required accept=".json,.csv,application/json,text/csv" class="w-full px-4 py-2 border rounded-lg" />
+            <p class="text-xs text-gray-500 mt-1">A NutriPlan JSON backup, or a CSV export from another tracker such as MyFitnessPal.</p></div>
+            <div><label class="block text-sm font-medium mb-1">Mode</label><select name="mode" class="w-full px-4 py-2 border rounded-lg">
+            <option value="merge">Merge - add to my food log</option><option value="replace">Replace - delete my food log first</option></select></div>
+            <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg">Next</button></div></form>`);
+
+        this.modal.querySelector('#import-file-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const fd = new FormData(e.target);
+            const file = fd.get('file');
+            this.state.mode = fd.get('mode');
+            this.state.fileName = file.name;
+            try {
+                const text = await file.text();
+                if (file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{')) {
+                    this.state.parsed = this.importer.parseBackup(text);
+                    await this.renderPreviewStep();
+                } else {
+                    this.state.csv = this.importer.parseCSV(text);
+                    this.state.mapping = this.importer.guessMapping(this.state.csv.headers);
+                    this.state.dateFormat = this.importer.guessDateFormat(this.state.csv.rows, this.state.mapping.date);
+                    this.renderMappingStep();
+                }
+            } catch (error) {
+                console.error('Error reading import file:', error);
+                this.uiController.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    renderMappingStep() {
+        const { headers, rows } = this.state.csv;
+        const columnOptions = (selected) => `<option value="-1">- Not in file -</option>` +
+            headers.map((h, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+        const fields = this.importer.csvFields.map(f => `<div><label class="block text-sm font-medium mb-1">${f.label}${f.required ? ' *' : ''}</label>
+            <select name="${f.id}" class="w-full px-3 py-2 border rounded-lg">${columnOptions(this.state.mapping[f.id])}</select></div>`).join('');
+        const dateFormats = this.importer.dateFormats.map(f => `<option value="${f}" ${f === this.state.dateFormat ? 'selected' : ''}>${f}</option>`).join('');
+        const sample = rows.slice(0, 3).map(r => `<tr>${headers.map((h, i) => `<td class="px-2 py-1 border-t border-gray-100 whitespace-nowrap">${escapeHtml(r[i] || '')}</td>`).join('')}</tr>`).join('');
+
+        this.renderStep('Match Columns', `<form id="import-mapping-form" class="space-y-4">
+            <p class="text-sm text-gray-600">Tell us which column of <span class="font-semibold">${escapeHtml(this.state.fileName)}</span> holds each value. Nutrients should be totals for the row.</p>
+            <div class="grid grid-cols-2 gap-3">${fields}<div><label class="block text-sm font-medium mb-1">Date format</label><select name="dateFormat" class="w-full px-3 py-2 border rounded-lg">${dateFormats}</select></div></div>
+            <div class="overflow-x-auto border rounded-lg"><table class="text-xs text-gray-600"><thead><tr>${headers.map(h => `<th class="px-2 py-1 text-left font-semibold whitespace-nowrap">${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${sample}</tbody></table></div>
+            <div class="flex gap-3 pt-4"><button type="button" id="back-btn" class="flex-1 px-4 py-2 border rounded-lg">Back</button><button type="submit" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg">Preview</button></div></form>`);
+
+        this.modal.querySelector('#back-btn').addEventListener('click', () => this.renderFileStep());
+        this.modal.querySelector('#import-mapping-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const fd = new FormData(e.target);
+            this.importer.csvFields.forEach(f => { this.state.mapping[f.id] = parseInt(fd.get(f.id)); });
+            this.state.dateFormat = fd.get('dateFormat');
+            const missing = this.importer.csvFields.filter(f => f.required && this.state.mapping[f.id] < 0);
+            if (missing.length > 0) {
+                this.uiController.showToast(`Choose a column for ${missing.map(f => f.label).join(' and ')}`, 'error');
+                return;
+            }
+            this.state.parsed = this.importer.entriesFromCSV(rows, this.state.mapping, this.state.dateFormat);
+            await this.renderPreviewStep();
+        });
+    }
+
+    async renderPreviewStep() {
+        const { parsed, mode } = this.state;
+        const plan = await this.importer.planImport(parsed.days, mode);
+        this.state.plan = plan;
+
+        const stats = [
+            { label: 'New entries', value: plan.added.length, cls: 'text-emerald-600' },
+            { label: 'Duplicates skipped', value: plan.duplicates.length, cls: 'text-gray-600' },
+            { label: 'Conflicts', value: plan.conflicts.length, cls: 'text-orange-600' },
+            mode === 'replace'
+                ? { label: 'Current entries deleted', value: plan.removed, cls: 'text-red-600' }
+                : { label: 'Rows skipped', value: parsed.errors.length, cls: 'text-red-600' }
+        ];
+        const entryRow = ({ dateKey, item }) => `<tr><td class="px-2 py-1 whitespace-nowrap">${dateKey}</td><td class="px-2 py-1">${escapeHtml(item.name)}</td>
+            <td class="px-2 py-1 text-right whitespace-nowrap">${Math.round(item.calories * item.quantity)} kcal</td></tr>`;
+        const preview = plan.added.length > 0
+            ? `<p class="text-sm font-semibold text-gray-700 mb-2">Preview</p><div class="border rounded-lg mb-4"><table class="w-full text-sm text-gray-600"><tbody>${plan.added.slice(0, 10).map(entryRow).join('')}</tbody></table>
+                ${plan.added.length > 10 ? `<p class="text-xs text-gray-400 px-2 py-1">and ${plan.added.length - 10} more</p>` : ''}</div>`
+            : '';
+        const conflicts = plan.conflicts.length > 0
+            ? `<p class="text-sm font-semibold text-gray-700 mb-2">Conflicts</p><p class="text-xs text-gray-500 mb-2">These entries already exist with different details.</p>
+                <div class="border rounded-lg mb-2"><table class="w-full text-sm text-gray-600"><thead><tr class="text-xs text-gray-400"><th class="px-2 py-1 text-left">Yours</th><th class="px-2 py-1 text-left">In file</th></tr></thead><tbody>
+                ${plan.conflicts.slice(0, 10).map(c => `<tr><td class="px-2 py-1">${c.existingDateKey} · ${escapeHtml(c.existing.name)} · ${Math.round(c.existing.calories * c.existing.quantity)} kcal</td>
+                <td class="px-2 py-1">${c.dateKey} · ${escapeHtml(c.item.name)} · ${Math.round(c.item.calories * c.item.quantity)} kcal</td></tr>`).join('')}</tbody></table></div>
+                <div class="mb-4"><label class="block text-sm font-medium mb-1">For conflicts</label><select id="conflict-strategy" class="w-full px-4 py-2 border rounded-lg">
+                <option value="incoming">Use the version in the file</option><option value="existing">Keep my version</option></select></div>`
+            : '';
+        const errors = parsed.errors.length > 0
+            ? `<details class="mb-4"><summary class="text-sm text-red-600 cursor-pointer">${parsed.errors.length} rows can't be imported</summary>
+                <ul class="text-xs text-gray-500 mt-2 space-y-1">${parsed.errors.slice(0, 20).map(e => `<li>Row ${e.row}: ${escapeHtml(e.message)}</li>`).join('')}</ul></details>`
+            : '';
+        const backupProfile = parsed.backup?.profile && this.profile
+            ? `<label class="flex items-center gap-2 text-sm mb-4"><input type="checkbox" id="restore-profile" /> Also restore the profile and targets from this backup</label>`
+            : '';
+        const backupSettings = parsed.backup?.settings && typeof parsed.backup.settings === 'object'
+            ? `<label class="flex items-center gap-2 text-sm mb-4"><input type="checkbox" id="restore-settings" ${mode === 'replace' ? 'checked' : ''} /> Also restore the log settings (day start hour, calorie mode and nutrient limits)</label>`
+            : '';
+        const backupWater = parsed.backup?.water?.entries?.length > 0 && this.water
+            ? `<label class="flex items-center gap-2 text-sm mb-4"><input type="checkbox" id="restore-water" checked /> Also restore ${parsed.backup.water.entries.length} water entries and the water goal</label>`
+            : '';
+        const noteCount = Object.keys(parsed.backup?.notes || {}).length;
+        const backupNotes = noteCount > 0
+            ? `<label class="flex items-center gap-2 text-sm mb-4"><input type="checkbox" id="restore-notes" checked /> ${mode === 'replace' ? `Also replace my day notes with the ${noteCount} in this backup` : `Also restore ${noteCount} day notes`}</label>`
+            : '';
+        const warning = mode === 'replace'
+            ? '<p class="text-sm text-red-600 mb-4"><i class="fa-solid fa-triangle-exclamation mr-1"></i>Your current food log will be replaced. A backup copy is kept.</p>'
+            : '';
+
+        this.renderStep('Review Import', `<div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">${stats.map(s => `<div class="border border-gray-200 rounded-xl p-3 text-center">
+            <p class="text-xl font-bold ${s.cls}">${s.value}</p><p class="text-xs text-gray-500">${s.label}</p></div>`).join('')}</div>
+            ${preview}${conflicts}${errors}${backupProfile}${backupWater}${backupNotes}${backupSettings}${warning}
+            <div class="flex gap-3 pt-4"><button type="button" id="back-btn" class="flex-1 px-4 py-2 border rounded-lg">Back</button>
+            <button type="button" id="import-btn" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg" ${plan.added.length + plan.conflicts.length === 0 && !backupWater && !backupNotes && !backupSettings ? 'disabled' : ''}>Import</button></div>`);
+
+        this.modal.querySelector('#back-btn').addEventListener('click', () => {
+            if (this.state.csv) this.renderMappingStep();
+            else this.renderFileStep();
+        });
+        this.modal.querySelector('#import-btn').addEventListener('click', () => this.handleImport());
+    }
+
+    async handleImport() {
+        const onConflict = this.modal.querySelector('#conflict-strategy')?.value || 'incoming';
+        const restoreProfile = this.modal.querySelector('#restore-profile')?.checked;
+        const restoreSettings = this.modal.querySelector('#restore-settings')?.checked;
+        const restoreWater = this.modal.querySelector('#restore-water')?.checked;
+        const restoreNotes = this.modal.querySelector('#restore-notes')?.checked;
+        try {
+            const result = await this.importer.applyImport(this.state.plan, onConflict);
+            if (restoreProfile) this.profile.save(this.state.parsed.backup.profile);
+            if (restoreSettings) await this.importer.foodLog.restoreSettings(this.state.parsed.backup.settings);
+            if (restoreWater) {
+                const water = this.state.parsed.backup.water;
+                this.water.merge(water.entries);
+                if (water.goal) this.water.setGoal(water.goal);
+            }
+            if (restoreNotes) this.importer.foodLog.mergeDayNotes(this.state.parsed.backup.notes, this.state.plan.mode === 'replace');
+            this.close();
+            this.uiController.showToast(`Imported ${result.added} entries${result.updated ? `, updated ${result.updated}` : ''}`, 'success');
+            if (this.onImported) this.onImported(result);
+        } catch (error) {
+            console.error('Error importing food log:', error);
+            this.uiController.showToast('Could not import the food log', 'error');
+        }
+    }
+}
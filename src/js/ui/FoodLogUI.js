@@ -1,25 +1,99 @@
 /**
  * FoodLogUI - Handles rendering for the Food Log page
- * @version 2.1 - Added Browse Recipes and Scan Product buttons
+ * @version 3.6 - Day notes and entry tags
  */
+import { escapeHtml } from './components.js?v=1.13';
+
 export class FoodLogUI {
-    constructor(foodLog, uiController, router) {
+    constructor(foodLog, uiController, router, exporter, history, templates, water, exercise, stats) {
         this.foodLog = foodLog;
         this.uiController = uiController;
         this.router = router;
+        this.exporter = exporter;
+        this.history = history;
+        this.templates = templates;
+        this.water = water;
+        this.exercise = exercise;
+        this.stats = stats;
         this.elements = {
             dateDisplay: document.getElementById('foodlog-date'),
+            dateLabel: document.getElementById('foodlog-date-label'),
+            dayTitle: document.getElementById('foodlog-day-title'),
+            prevDayBtn: document.getElementById('foodlog-prev-day'),
+            nextDayBtn: document.getElementById('foodlog-next-day'),
+            datePicker: document.getElementById('foodlog-date-picker'),
+            todayBtn: document.getElementById('foodlog-today-btn'),
+            settingsBtn: document.getElementById('foodlog-settings-btn'),
+            exportBtn: document.getElementById('foodlog-export-btn'),
             todaySection: document.getElementById('foodlog-today-section'),
+            moreNutrients: document.getElementById('more-nutrients'),
+            waterTracker: document.getElementById('water-tracker'),
+            exercisePanel: document.getElementById('exercise-panel'),
+            calorieModeBtns: document.querySelectorAll('.calorie-mode-btn'),
             loggedItemsList: document.getElementById('logged-items-list'),
+            dayNote: document.getElementById('day-note'),
             weeklyChart: document.getElementById('weekly-chart'),
+            macroDonutChart: document.getElementById('macro-donut-chart'),
+            macroSplitList: document.getElementById('macro-split-list'),
+            sourceChart: document.getElementById('source-chart'),
+            timeOfDayChart: document.getElementById('time-of-day-chart'),
             clearBtn: document.getElementById('clear-foodlog'),
-            quickLogBtns: document.querySelectorAll('.quick-log-btn')
+            saveTemplateBtn: document.getElementById('save-template-btn'),
+            copyYesterdayBtn: document.getElementById('copy-yesterday-btn'),
+            copyDayBtn: document.getElementById('copy-day-btn'),
+            copySelectedBtn: document.getElementById('copy-selected-btn'),
+            quickLogBtns: document.querySelectorAll('.quick-log-btn'),
+            quickAddPanel: document.getElementById('quick-add-panel'),
+            quickAddList: document.getElementById('quick-add-list'),
+            quickAddTabs: document.querySelectorAll('.quick-add-tab')
+        };
+        // Called after each render, for panels drawn by other components
+        this.onRender = null;
+        this.quickAddTab = 'recent';
+        // Entries ticked on the selected day, for saving as a template
+        this.selectedItemIds = new Set();
+        this.mealSlotIcons = {
+            breakfast: 'fa-mug-hot',
+            lunch: 'fa-bowl-food',
+            dinner: 'fa-utensils',
+            snacks: 'fa-cookie-bite'
         };
+        this.selectedDateKey = this.foodLog.getDateKey();
         this.initEventListeners();
     }
 
     initEventListeners() {
         this.elements.clearBtn?.addEventListener('click', () => this.handleClearAll());
+        this.elements.saveTemplateBtn?.addEventListener('click', () => this.showSaveTemplateModal());
+        this.elements.copyYesterdayBtn?.addEventListener('click', () => this.copyPreviousDay());
+        this.elements.copyDayBtn?.addEventListener('click', async () => {
+            this.showCopyToModal(await this.foodLog.getItems(this.selectedDateKey));
+        });
+        this.elements.copySelectedBtn?.addEventListener('click', async () => {
+            const items = await this.foodLog.getItems(this.selectedDateKey);
+            this.showCopyToModal(items.filter(i => this.selectedItemIds.has(i.id)));
+        });
+        this.elements.prevDayBtn?.addEventListener('click', () => this.goToDate(this.foodLog.shiftDateKey(this.selectedDateKey, -1)));
+        this.elements.nextDayBtn?.addEventListener('click', () => this.goToDate(this.foodLog.shiftDateKey(this.selectedDateKey, 1)));
+        this.elements.todayBtn?.addEventListener('click', () => this.goToDate(this.foodLog.getDateKey()));
+        this.elements.settingsBtn?.addEventListener('click', () => this.showSettingsModal());
+        this.elements.exportBtn?.addEventListener('click', () => this.showExportModal());
+        this.elements.datePicker?.addEventListener('change', (e) => {
+            if (this.foodLog.isValidDateKey(e.target.value)) this.goToDate(e.target.value);
+        });
+        document.addEventListener('keydown', (e) => this.handleUndoShortcut(e));
+        this.elements.calorieModeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.foodLog.setNetCalories(btn.dataset.mode === 'net');
+                this.render();
+            });
+        });
+        this.elements.quickAddTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.quickAddTab = tab.dataset.tab;
+                this.renderQuickAdd();
+            });
+        });
         this.elements.quickLogBtns?.forEach((btn, i) => {
             btn.addEventListener('click', () => {
                 if (i === 0) this.router.navigate('/home');
@@ -29,27 +103,149 @@ export class FoodLogUI {
         });
     }
 
-    render() {
+    /**
+     * Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes while the Food Log page is open
+     * Left alone while typing, so text fields keep their own undo.
+     * @param {KeyboardEvent} e - The keydown event
+     */
+    handleUndoShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || this.router.getCurrentRoute() !== 'foodlog') return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    async undo() {
+        try {
+            const command = await this.history.undo();
+            if (!command) {
+                this.uiController.showToast('Nothing to undo', 'info');
+                return;
+            }
+            this.render();
+            this.uiController.showToast(`Undone: ${escapeHtml(command.label)}`, 'info', { label: 'Redo', onClick: () => this.redo() });
+        } catch (error) {
+            this.uiController.showToast('Could not undo', 'error');
+        }
+    }
+
+    async redo() {
+        try {
+            const command = await this.history.redo();
+            if (!command) {
+                this.uiController.showToast('Nothing to redo', 'info');
+                return;
+            }
+            this.render();
+            this.uiController.showToast(`Redone: ${escapeHtml(command.label)}`, 'info', { label: 'Undo', onClick: () => this.undo() });
+        } catch (error) {
+            this.uiController.showToast('Could not redo', 'error');
+        }
+    }
+
+    /**
+     * Toast button that undoes the change just made
+     */
+    undoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
+    /**
+     * Re-render after another tab changed the log; a burst of changes renders once
+     */
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), 100);
+    }
+
+    async render() {
         this.updateDate();
-        this.renderProgressBars();
-        this.renderLoggedItems();
-        this.renderWeeklyChart();
-        this.renderWeeklyOverview();
-        this.renderWeeklyStats();
+        await Promise.all([
+            this.renderProgressBars(),
+            this.renderMicronutrients(),
+            this.renderWater(),
+            this.renderExercise(),
+            this.renderLoggedItems(),
+            this.renderDayNote(),
+            this.renderQuickAdd(),
+            this.renderWeeklyChart(),
+            this.renderMacroDonut(),
+            this.renderBreakdownCharts(),
+            this.renderWeeklyOverview(),
+            this.renderWeeklyStats()
+        ]);
+        if (this.onRender) this.onRender();
+    }
+
+    /**
+     * Set the day shown on the Food Log page
+     * @param {string} dateKey - Date key (YYYY-MM-DD); invalid or empty means today
+     */
+    setSelectedDate(dateKey) {
+        const key = this.foodLog.isValidDateKey(dateKey) ? dateKey : this.foodLog.getDateKey();
+        if (key !== this.selectedDateKey) this.selectedItemIds.clear();
+        this.selectedDateKey = key;
+    }
+
+    /**
+     * Navigate to the Food Log for a day, keeping the URL in sync
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     */
+    goToDate(dateKey) {
+        this.router.navigate(dateKey === this.foodLog.getDateKey() ? '/foodlog' : `/foodlog/${dateKey}`);
+    }
+
+    isSelectedToday() {
+        return this.selectedDateKey === this.foodLog.getDateKey();
+    }
+
+    /**
+     * Relative name for the selected day (Today, Yesterday, Tomorrow) or null
+     */
+    getRelativeDayName() {
+        const today = this.foodLog.getDateKey();
+        if (this.selectedDateKey === today) return 'Today';
+        if (this.selectedDateKey === this.foodLog.shiftDateKey(today, -1)) return 'Yesterday';
+        if (this.selectedDateKey === this.foodLog.shiftDateKey(today, 1)) return 'Tomorrow';
+        return null;
     }
 
     updateDate() {
+        const relative = this.getRelativeDayName();
         if (this.elements.dateDisplay) {
-            this.elements.dateDisplay.textContent = this.foodLog.formatDate();
+            this.elements.dateDisplay.textContent = this.foodLog.formatDate(this.foodLog.parseDateKey(this.selectedDateKey));
         }
+        if (this.elements.dateLabel) this.elements.dateLabel.textContent = relative || 'Viewing';
+        if (this.elements.dayTitle) this.elements.dayTitle.textContent = relative ? `${relative}'s Nutrition` : 'Nutrition';
+        if (this.elements.datePicker) this.elements.datePicker.value = this.selectedDateKey;
+        if (this.elements.todayBtn) this.elements.todayBtn.style.display = this.isSelectedToday() ? 'none' : '';
     }
 
-    renderProgressBars() {
-        const totals = this.foodLog.getTodayTotals();
-        const progress = this.foodLog.getProgress();
-        const targets = this.foodLog.dailyTargets;
+    async renderProgressBars() {
+        const [totals, progress] = await Promise.all([
+            this.foodLog.getTotals(this.selectedDateKey),
+            this.foodLog.getProgress(this.selectedDateKey)
+        ]);
+        const targets = this.foodLog.getTargets(this.selectedDateKey);
+        const burned = this.foodLog.getBurned(this.selectedDateKey);
+        const net = this.foodLog.settings.netCalories;
+        const calories = Math.round(this.foodLog.countCalories(totals.calories, burned));
+        this.elements.calorieModeBtns.forEach(btn => {
+            const active = (btn.dataset.mode === 'net') === net;
+            btn.classList.toggle('bg-white', active);
+            btn.classList.toggle('shadow-sm', active);
+            btn.classList.toggle('text-gray-900', active);
+            btn.classList.toggle('text-gray-500', !active);
+        });
         const bars = [
-            { name: 'Calories', val: totals.calories, tgt: targets.calories, unit: 'kcal', pct: progress.calories, col: 'blue', colText: 'blue', exc: totals.calories > targets.calories },
+            { name: net ? 'Net Calories' : 'Calories', val: calories, tgt: targets.calories, unit: 'kcal', pct: progress.calories, col: 'blue', colText: 'blue', exc: calories > targets.calories,
+                note: net && burned > 0 ? `${Math.round(totals.calories)} eaten − ${burned} burned` : '' },
             { name: 'Protein', val: Math.round(totals.protein), tgt: targets.protein, unit: 'g', pct: progress.protein, col: 'purple', colText: 'purple' },
             { name: 'Carbs', val: Math.round(totals.carbs), tgt: targets.carbs, unit: 'g', pct: progress.carbs, col: 'orange', colText: 'orange' },
             { name: 'Fat', val: Math.round(totals.fat), tgt: targets.fat, unit: 'g', pct: progress.fat, col: 'pink', colText: 'pink' }
@@ -69,23 +265,202 @@ export class FoodLogUI {
                     <span class="font-semibold text-${b.colText}-600">${b.val} ${b.unit}</span>
                     <span class="text-gray-400">/ ${b.tgt} ${b.unit}</span>
                 </div>
+                ${b.note ? `<p class="text-xs text-gray-400 mt-1">${b.note}</p>` : ''}
             </div>
         `).join('');
     }
 
-    renderLoggedItems() {
-        const items = this.foodLog.getTodayItems();
+    /**
+     * Collapsible panel with fiber and the nutrients that have a daily limit
+     */
+    async renderMicronutrients() {
+        const list = this.elements.moreNutrients?.querySelector('#more-nutrients-list');
+        if (!list) return;
+        const totals = await this.foodLog.getTotals(this.selectedDateKey);
+        const limits = this.foodLog.nutrientLimits;
+        list.innerHTML = this.foodLog.micronutrients.map(n => {
+            const val = Math.round(totals[n.id] || 0);
+            const limit = limits[n.id];
+            if (!limit) {
+                return `<div class="border border-gray-200 rounded-xl p-4">
+                    <span class="text-sm font-medium text-gray-700">${n.label}</span>
+                    <p class="text-lg font-semibold text-emerald-600 mt-1">${val} ${n.unit}</p>
+                </div>`;
+            }
+            const pct = val / limit * 100;
+            const over = val > limit;
+            return `<div class="border ${over ? 'border-red-300' : 'border-gray-200'} rounded-xl p-4">
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-sm font-medium text-gray-700">${n.label}</span>
+                    <span class="text-sm font-semibold ${over ? 'text-red-500' : 'text-gray-500'}">${Math.round(pct)}%</span>
+                </div>
+                <div class="w-full bg-gray-100 rounded-full h-2 mb-2">
+                    <div class="${over ? 'bg-red-500' : 'bg-gray-400'} h-2 rounded-full transition-all" style="width: ${Math.min(100, pct)}%"></div>
+                </div>
+                <div class="flex justify-between text-xs">
+                    <span class="font-semibold ${over ? 'text-red-600' : 'text-gray-700'}">${val} ${n.unit}</span>
+                    <span class="text-gray-400">limit ${limit} ${n.unit}</span>
+                </div>
+                ${over ? `<p class="text-xs text-red-500 mt-1"><i class="fa-solid fa-triangle-exclamation mr-1"></i>Over the daily limit</p>` : ''}
+            </div>`;
+        }).join('');
+    }
+
+    renderWater() {
+        const container = this.elements.waterTracker;
+        if (!container) return;
+        const total = this.water.getTotal(this.selectedDateKey);
+        const goal = this.water.getGoal();
+        const pct = this.water.getProgress(this.selectedDateKey);
+        container.innerHTML = `<div class="flex items-center justify-between mb-2">
+                <span class="text-sm font-medium text-gray-700"><i class="fa-solid fa-droplet text-sky-500 mr-1"></i>Water</span>
+                <span class="text-sm font-semibold text-sky-500">${Math.round(pct)}%</span>
+            </div>
+            <div class="w-full bg-gray-100 rounded-full h-2 mb-2">
+                <div class="bg-sky-500 h-2 rounded-full transition-all" style="width: ${Math.min(100, pct)}%"></div>
+            </div>
+            <div class="flex flex-wrap items-center justify-between gap-2">
+                <div class="text-xs"><span class="font-semibold text-sky-600">${total} ml</span> <span class="text-gray-400">/ ${goal} ml</span></div>
+                <div class="flex flex-wrap gap-2 text-xs">
+                    ${this.water.servings.map(s => `<button class="add-water-btn px-3 py-1.5 bg-sky-50 text-sky-700 rounded-lg font-medium hover:bg-sky-100" data-ml="${s.ml}"><i class="fa-solid ${s.icon} mr-1"></i>+ ${s.label} <span class="text-sky-400">${s.ml} ml</span></button>`).join('')}
+                    <form id="water-custom-form" class="flex gap-1"><input type="number" name="ml" min="1" max="5000" placeholder="ml" aria-label="Custom amount in ml" class="w-20 px-2 py-1 border rounded-lg" /><button type="submit" class="px-3 py-1.5 bg-sky-50 text-sky-700 rounded-lg font-medium hover:bg-sky-100">Add</button></form>
+                    ${total > 0 ? '<button id="remove-water-btn" class="px-2 py-1.5 text-gray-400 hover:text-red-500" aria-label="Remove last drink"><i class="fa-solid fa-rotate-left"></i></button>' : ''}
+                </div>
+            </div>`;
+        container.querySelectorAll('.add-water-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.addWater(+btn.dataset.ml));
+        });
+        container.querySelector('#water-custom-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addWater(+new FormData(e.target).get('ml'));
+        });
+        container.querySelector('#remove-water-btn')?.addEventListener('click', () => {
+            const last = this.water.getEntries(this.selectedDateKey).pop();
+            if (!last) return;
+            this.water.remove(last.id);
+            this.render();
+            this.uiController.showToast(`Removed ${last.ml} ml of water`, 'info', {
+                label: 'Undo',
+                onClick: () => { this.water.merge([last]); this.render(); }
+            });
+        });
+    }
+
+    /**
+     * Log water on the selected day
+     * @param {number} ml - Amount in millilitres
+     */
+    addWater(ml) {
+        const entry = this.water.add(ml, this.selectedDateKey);
+        if (!entry) {
+            this.uiController.showToast('Enter an amount in ml', 'error');
+            return;
+        }
+        this.render();
+        this.uiController.showToast(`${entry.ml} ml of water logged`, 'success', {
+            label: 'Undo',
+            onClick: () => { this.water.remove(entry.id); this.render(); }
+        });
+    }
+
+    renderExercise() {
+        const container = this.elements.exercisePanel;
+        if (!container) return;
+        const entries = this.exercise.getEntries(this.selectedDateKey);
+        const burned = entries.reduce((sum, e) => sum + e.calories, 0);
+        container.innerHTML = `<div class="flex items-center justify-between mb-2">
+                <span class="text-sm font-medium text-gray-700"><i class="fa-solid fa-person-running text-rose-500 mr-1"></i>Exercise</span>
+                <span class="text-sm font-semibold text-rose-500">${burned} kcal burned</span>
+            </div>
+            <div class="space-y-1 mb-2">${entries.map(e => `<div class="flex items-center justify-between text-sm">
+                <span class="text-gray-700">${escapeHtml(e.name)} <span class="text-gray-400">${this.describeExercise(e)}</span></span>
+                <span class="flex items-center gap-3"><span class="text-gray-500">${e.calories} kcal</span>
+                <button class="remove-exercise-btn text-gray-300 hover:text-red-500" data-entry-id="${e.id}" aria-label="Delete exercise"><i class="fa-solid fa-xmark"></i></button></span></div>`).join('')}</div>
+            <button id="log-exercise-btn" class="px-3 py-1.5 bg-rose-50 text-rose-700 rounded-lg font-medium hover:bg-rose-100 text-xs"><i class="fa-solid fa-plus mr-1"></i>Log Exercise</button>`;
+        container.querySelector('#log-exercise-btn').addEventListener('click', () => this.showExerciseModal());
+        container.querySelectorAll('.remove-exercise-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const removed = this.exercise.remove(btn.dataset.entryId);
+                if (!removed) return;
+                this.render();
+                this.uiController.showToast(`${escapeHtml(removed.name)} deleted`, 'info', {
+                    label: 'Undo',
+                    onClick: () => { this.exercise.restore(removed); this.render(); }
+                });
+            });
+        });
+    }
+
+    /**
+     * Steps, duration and distance of an exercise entry
+     * @param {object} entry - Exercise entry
+     */
+    describeExercise(entry) {
+        return [
+            entry.steps ? `${entry.steps.toLocaleString()} steps` : '',
+            entry.durationMin ? `${entry.durationMin} min` : '',
+            entry.distanceM ? `${(entry.distanceM / 1000).toFixed(1)} km` : ''
+        ].filter(Boolean).map(part => `· ${part}`).join(' ');
+    }
+
+    showExerciseModal() {
+        const options = this.exercise.categories.map(c => `<optgroup label="${c.label}">${this.exercise.activities
+            .filter(a => a.category === c.id)
+            .map(a => `<option value="${a.id}">${a.label}</option>`).join('')}</optgroup>`).join('');
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-4"><i class="fa-solid fa-person-running text-rose-500 mr-2"></i>Log Exercise</h3>
+            <form id="exercise-form" class="space-y-4"><div><label class="block text-sm font-medium mb-1">Activity *</label><select name="activityId" class="w-full px-4 py-2 border rounded-lg">${options}</select></div>
+            <div><label class="block text-sm font-medium mb-1">Duration (minutes) *</label><input type="number" name="minutes" required min="1" max="1440" value="30" class="w-full px-4 py-2 border rounded-lg" /></div>
+            <p class="text-sm text-gray-600">Burns about <span id="exercise-estimate" class="font-semibold text-rose-600"></span> kcal at ${this.exercise.getWeightKg()} kg${this.exercise.profile?.data.weightKg ? '' : ' (add your weight in the profile for a better estimate)'}.</p>
+            <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-rose-600 text-white rounded-lg">Log</button></div></form></div>`;
+        document.body.appendChild(modal);
+        const form = modal.querySelector('#exercise-form');
+        const updateEstimate = () => {
+            const activity = this.exercise.getActivity(form.elements.activityId.value);
+            modal.querySelector('#exercise-estimate').textContent = activity ? this.exercise.calculateCalories(activity.met, +form.elements.minutes.value || 0) : 0;
+        };
+        updateEstimate();
+        form.addEventListener('input', updateEstimate);
+        modal.querySelector('#cancel-btn').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const fd = new FormData(form);
+            const entry = this.exercise.add(fd.get('activityId'), fd.get('minutes'), this.selectedDateKey);
+            if (!entry) {
+                this.uiController.showToast('Enter a duration between 1 and 1440 minutes', 'error');
+                return;
+            }
+            modal.remove();
+            this.render();
+            this.uiController.showToast(`${escapeHtml(entry.name)} logged: ${entry.calories} kcal burned`, 'success', {
+                label: 'Undo',
+                onClick: () => { this.exercise.remove(entry.id); this.render(); }
+            });
+        });
+        modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    }
+
+    async renderLoggedItems() {
+        const items = await this.foodLog.getItems(this.selectedDateKey);
         const container = this.elements.loggedItemsList;
         if (!container) return;
         const header = container.parentElement?.querySelector('h4');
         if (header) header.textContent = `Logged Items (${items.length})`;
         if (this.elements.clearBtn) this.elements.clearBtn.style.display = items.length > 0 ? '' : 'none';
+        if (this.elements.copyDayBtn) this.elements.copyDayBtn.style.display = items.length > 0 ? '' : 'none';
+        if (this.elements.copyYesterdayBtn) {
+            this.elements.copyYesterdayBtn.innerHTML = `<i class="fa-solid fa-clock-rotate-left mr-1"></i>Copy ${this.isSelectedToday() ? 'Yesterday' : 'Previous Day'}`;
+        }
+        // Forget ticks on entries that are gone
+        this.selectedItemIds = new Set(items.filter(i => this.selectedItemIds.has(i.id)).map(i => i.id));
+        this.updateSelectionButtons();
         if (items.length === 0) {
             container.innerHTML = `<div class="text-center py-12">
                 <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
                     <i class="fa-solid fa-utensils text-2xl text-gray-400"></i>
                 </div>
-                <p class="font-semibold text-gray-900 mb-1">No food logged today</p>
+                <p class="font-semibold text-gray-900 mb-1">No food logged ${this.isSelectedToday() ? 'today' : 'on this day'}</p>
                 <p class="text-sm text-gray-500 mb-6">Start tracking your nutrition by logging meals or scanning products</p>
                 <div class="flex justify-center gap-3">
                     <button id="browse-recipes-btn" class="px-4 py-2 bg-emerald-500 text-white rounded-lg font-medium hover:bg-emerald-600 transition-all text-sm">
@@ -101,36 +476,328 @@ export class FoodLogUI {
             container.querySelector('#scan-product-btn')?.addEventListener('click', () => this.router.navigate('/scanner'));
             return;
         }
-        container.innerHTML = items.map(item => {
-            const icon = item.type === 'product' ? 'fa-barcode' : 'fa-utensils';
-            const col = item.type === 'product' ? 'teal' : 'emerald';
-            return `<div class="logged-item flex items-center gap-4 p-4 bg-white rounded-xl border border-gray-200">
-                ${item.image ? `<img src="${item.image}" class="w-16 h-16 rounded-lg object-cover" />` : `<div class="w-16 h-16 rounded-lg bg-${col}-100 flex items-center justify-center"><i class="fa-solid ${icon} text-${col}-600 text-xl"></i></div>`}
-                <div class="flex-1"><h4 class="font-semibold text-gray-900">${item.name}</h4><div class="flex gap-4 text-sm text-gray-500 mt-1"><span><i class="fa-solid fa-fire text-orange-500 mr-1"></i>${item.calories} kcal</span><span><i class="fa-solid fa-dumbbell text-blue-500 mr-1"></i>${item.protein}g</span></div></div>
-                <button class="delete-item-btn p-2 text-gray-400 hover:text-red-500" data-item-id="${item.id}"><i class="fa-solid fa-trash"></i></button>
-            </div>`;
-        }).join('');
+        container.innerHTML = this.foodLog.groupByMealSlot(items)
+            .filter(group => group.items.length > 0)
+            .map(group => this.renderMealSlotGroup(group))
+            .join('');
         container.querySelectorAll('.delete-item-btn').forEach(btn => {
-            btn.addEventListener('click', () => { this.foodLog.removeItem(btn.dataset.itemId); this.render(); });
+            btn.addEventListener('click', async () => {
+                const removed = await this.history.removeItem(btn.dataset.itemId, this.selectedDateKey);
+                this.render();
+                if (removed) this.uiController.showToast(`${escapeHtml(removed.name)} deleted`, 'info', this.undoAction());
+            });
+        });
+        container.querySelectorAll('.edit-item-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const item = items.find(i => i.id === btn.dataset.itemId);
+                if (item) this.showEditEntryModal(item);
+            });
         });
+        container.querySelectorAll('.select-item-checkbox').forEach(box => {
+            box.addEventListener('change', () => {
+                if (box.checked) this.selectedItemIds.add(box.dataset.itemId);
+                else this.selectedItemIds.delete(box.dataset.itemId);
+                this.updateSelectionButtons();
+            });
+        });
+    }
+
+    /**
+     * Show the actions for ticked entries while any are ticked
+     */
+    updateSelectionButtons() {
+        const count = this.selectedItemIds.size;
+        const { saveTemplateBtn, copySelectedBtn } = this.elements;
+        if (saveTemplateBtn) {
+            saveTemplateBtn.style.display = count > 0 ? '' : 'none';
+            saveTemplateBtn.innerHTML = `<i class="fa-solid fa-layer-group mr-1"></i>Save ${count} as Template`;
+        }
+        if (copySelectedBtn) {
+            copySelectedBtn.style.display = count > 0 ? '' : 'none';
+            copySelectedBtn.innerHTML = `<i class="fa-solid fa-copy mr-1"></i>Copy ${count} to…`;
+        }
+    }
+
+    renderMealSlotGroup(group) {
+        const t = group.totals;
+        return `<div class="meal-slot-group space-y-2" data-meal-slot="${group.id}">
+            <div class="flex items-center justify-between pt-2">
+                <h5 class="text-sm font-semibold text-gray-700"><i class="fa-solid ${this.mealSlotIcons[group.id]} text-emerald-500 mr-2"></i>${group.label} <span class="text-gray-400 font-normal">(${group.items.length})</span></h5>
+                <div class="flex gap-3 text-xs text-gray-500"><span class="font-semibold text-gray-700">${Math.round(t.calories)} kcal</span><span>P ${Math.round(t.protein)}g</span><span>C ${Math.round(t.carbs)}g</span><span>F ${Math.round(t.fat)}g</span></div>
+            </div>
+            ${group.items.map(item => this.renderLoggedItem(item)).join('')}
+        </div>`;
+    }
+
+    renderLoggedItem(item) {
+        const icon = item.type === 'product' ? 'fa-barcode' : 'fa-utensils';
+        const col = item.type === 'product' ? 'teal' : 'emerald';
+        const qty = item.quantity || 1;
+        const totals = this.foodLog.calculateTotals([item]);
+        const tags = this.foodLog.getTagLabels(item.tags);
+        return `<div class="logged-item flex items-center gap-4 p-4 bg-white rounded-xl border border-gray-200">
+            <input type="checkbox" class="select-item-checkbox w-5 h-5 text-emerald-600 rounded border-gray-300" data-item-id="${escapeHtml(item.id)}" aria-label="Select ${escapeHtml(item.name)}" ${this.selectedItemIds.has(item.id) ? 'checked' : ''} />
+            ${item.image ? `<img src="${escapeHtml(item.image)}" class="w-16 h-16 rounded-lg object-cover" />` : `<div class="w-16 h-16 rounded-lg bg-${col}-100 flex items-center justify-center"><i class="fa-solid ${icon} text-${col}-600 text-xl"></i></div>`}
+            <div class="flex-1"><h4 class="font-semibold text-gray-900">${escapeHtml(item.name)}${qty !== 1 ? ` <span class="text-sm font-normal text-gray-400">× ${qty}</span>` : ''}</h4><div class="flex gap-4 text-sm text-gray-500 mt-1"><span><i class="fa-solid fa-fire text-orange-500 mr-1"></i>${Math.round(totals.calories)} kcal</span><span><i class="fa-solid fa-dumbbell text-blue-500 mr-1"></i>${Math.round(totals.protein)}g</span></div>
+            ${tags.length > 0 ? `<div class="flex flex-wrap gap-1 mt-2">${tags.map(t => `<span class="px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full text-xs">${t}</span>`).join('')}</div>` : ''}</div>
+            <button class="edit-item-btn p-2 text-gray-400 hover:text-emerald-600" data-item-id="${escapeHtml(item.id)}" aria-label="Edit"><i class="fa-solid fa-pen"></i></button>
+            <button class="delete-item-btn p-2 text-gray-400 hover:text-red-500" data-item-id="${escapeHtml(item.id)}" aria-label="Delete"><i class="fa-solid fa-trash"></i></button>
+        </div>`;
     }
 
-    renderWeeklyChart() {
+    /**
+     * Render recent or frequent foods as one-click buttons
+     */
+    async renderQuickAdd() {
+        const { quickAddPanel, quickAddList, quickAddTabs } = this.elements;
+        if (!quickAddPanel || !quickAddList) return;
+
+        const suggestions = await this.foodLog.getFoodSuggestions();
+        const templates = this.templates.getAll();
+        if (suggestions.recent.length === 0 && templates.length === 0) {
+            quickAddPanel.style.display = 'none';
+            return;
+        }
+        quickAddPanel.style.display = '';
+
+        quickAddTabs.forEach(tab => {
+            const active = tab.dataset.tab === this.quickAddTab;
+            tab.classList.toggle('bg-indigo-100', active);
+            tab.classList.toggle('text-indigo-700', active);
+            tab.classList.toggle('text-gray-500', !active);
+        });
+
+        if (this.quickAddTab === 'templates') {
+            this.renderTemplates(templates);
+            return;
+        }
+
+        const foods = suggestions[this.quickAddTab];
+        if (foods.length === 0) {
+            quickAddList.innerHTML = '<p class="text-sm text-gray-400">Foods you log more than once will show up here</p>';
+            return;
+        }
+        quickAddList.innerHTML = foods.map((food, i) => {
+            const qty = food.quantity;
+            const kcal = Math.round(this.foodLog.calculateTotals([food]).calories);
+            return `<button class="quick-add-btn flex items-center gap-2 pl-1 pr-3 py-1 bg-white border border-gray-200 rounded-full hover:border-indigo-300 hover:bg-indigo-50 transition-all text-sm" data-index="${i}" title="Log ${escapeHtml(food.name)} again">
+                ${food.image ? `<img src="${escapeHtml(food.image)}" class="w-7 h-7 rounded-full object-cover" />` : `<span class="w-7 h-7 rounded-full bg-gray-100 flex items-center justify-center"><i class="fa-solid ${food.type === 'product' ? 'fa-barcode' : 'fa-utensils'} text-gray-400 text-xs"></i></span>`}
+                <span class="font-medium text-gray-700">${escapeHtml(food.name)}${qty !== 1 ? ` × ${qty}` : ''}</span>
+                <span class="text-xs text-gray-400">${kcal} kcal</span>
+            </button>`;
+        }).join('');
+        quickAddList.querySelectorAll('.quick-add-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.quickAdd(foods[+btn.dataset.index]));
+        });
+    }
+
+    /**
+     * Render saved templates in the quick add panel
+     * @param {array} templates - Saved templates
+     */
+    renderTemplates(templates) {
+        const list = this.elements.quickAddList;
+        if (templates.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-400">Tick logged items and choose "Save as Template" to log them together later</p>';
+            return;
+        }
+        list.innerHTML = templates.map(t => `<div class="flex items-center bg-white border border-gray-200 rounded-full hover:border-indigo-300 transition-all text-sm">
+            <button class="log-template-btn flex items-center gap-2 pl-3 pr-2 py-1.5" data-template-id="${t.id}" title="${escapeHtml(t.items.map(i => i.name).join(', '))}">
+                <i class="fa-solid fa-layer-group text-indigo-500"></i>
+                <span class="font-medium text-gray-700">${escapeHtml(t.name)}</span>
+                <span class="text-xs text-gray-400">${t.items.length} items · ${Math.round(this.templates.getTotals(t).calories)} kcal</span>
+            </button>
+            <button class="delete-template-btn pr-3 pl-1 py-1.5 text-gray-300 hover:text-red-500" data-template-id="${t.id}" aria-label="Delete template"><i class="fa-solid fa-xmark"></i></button>
+        </div>`).join('');
+        list.querySelectorAll('.log-template-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.logTemplate(btn.dataset.templateId));
+        });
+        list.querySelectorAll('.delete-template-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const removed = this.templates.remove(btn.dataset.templateId);
+                this.renderQuickAdd();
+                if (removed) {
+                    this.uiController.showToast(`Template "${escapeHtml(removed.name)}" deleted`, 'info', {
+                        label: 'Undo',
+                        onClick: () => { this.templates.restore(removed); this.renderQuickAdd(); }
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Log every item of a template on the selected day
+     * @param {string} templateId - The template id
+     */
+    async logTemplate(templateId) {
+        const template = this.templates.get(templateId);
+        if (!template) return;
+        await this.history.addItems(template.items, this.selectedDateKey, `Log ${template.name}`);
+        this.render();
+        this.uiController.showToast(`${escapeHtml(template.name)} logged (${template.items.length} items)`, 'success', this.undoAction());
+    }
+
+    /**
+     * Ask for a name and save the ticked entries as a template
+     */
+    async showSaveTemplateModal() {
+        const items = (await this.foodLog.getItems(this.selectedDateKey)).filter(i => this.selectedItemIds.has(i.id));
+        if (items.length === 0) return;
+        const total = Math.round(this.foodLog.calculateTotals(items).calories);
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-4"><i class="fa-solid fa-layer-group text-indigo-600 mr-2"></i>Save as Template</h3>
+            <form id="template-form" class="space-y-4"><div><label class="block text-sm font-medium mb-1">Name *</label><input type="text" name="name" required placeholder="e.g. My usual breakfast" class="w-full px-4 py-2 border rounded-lg" /></div>
+            <ul class="text-sm text-gray-600 space-y-1">${items.map(i => `<li class="flex justify-between"><span>${escapeHtml(i.name)}${(i.quantity || 1) !== 1 ? ` × ${i.quantity}` : ''}</span><span class="text-gray-400">${Math.round(this.foodLog.calculateTotals([i]).calories)} kcal</span></li>`).join('')}</ul>
+            <p class="text-sm font-semibold text-gray-700">Total: ${total} kcal</p>
+            <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg">Save</button></div></form></div>`;
+        document.body.appendChild(modal);
+        modal.querySelector('input[name="name"]').focus();
+        modal.querySelector('#cancel-btn').addEventListener('click', () => modal.remove());
+        modal.querySelector('#template-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const template = this.templates.create(new FormData(e.target).get('name'), items);
+            modal.remove();
+            this.selectedItemIds.clear();
+            this.quickAddTab = 'templates';
+            this.render();
+            this.uiController.showToast(`Template "${escapeHtml(template.name)}" saved`, 'success');
+        });
+        modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    }
+
+    /**
+     * Log a food again at its last used quantity on the selected day
+     * @param {object} food - Food from getFoodSuggestions
+     */
+    async quickAdd(food) {
+        const { key, count, lastUsed, ...item } = food;
+        await this.history.addItem(item, this.selectedDateKey);
+        this.render();
+        this.uiController.showToast(`${escapeHtml(item.name)} added`, 'success', this.undoAction());
+    }
+
+    renderMealSlotOptions(selected = this.foodLog.guessMealSlot()) {
+        return this.foodLog.mealSlots
+            .map(slot => `<option value="${slot.id}" ${slot.id === selected ? 'selected' : ''}>${slot.label}</option>`)
+            .join('');
+    }
+
+    async renderWeeklyChart() {
         const container = this.elements.weeklyChart;
         if (!container || typeof Plotly === 'undefined') return;
-        const data = this.foodLog.getWeeklyData();
+        const data = await this.foodLog.getWeeklyData(this.selectedDateKey);
         const trace = { x: data.map(d => d.dayName), y: data.map(d => d.calories), type: 'bar', marker: { color: '#10b981' } };
         const layout = { showlegend: false, margin: { t: 20, l: 50, r: 20, b: 40 }, paper_bgcolor: 'rgba(0,0,0,0)', plot_bgcolor: 'rgba(0,0,0,0)' };
         container.innerHTML = '';
         Plotly.newPlot(container, [trace], layout, { responsive: true, displayModeBar: false });
     }
 
-    handleClearAll() {
-        if (confirm('Clear all logged items for today?')) {
-            this.foodLog.clearToday();
-            this.render();
-            this.uiController.showToast('Food log cleared', 'info');
+    /**
+     * Share of the selected day's calories from each macro, against the target split
+     */
+    async renderMacroDonut() {
+        const container = this.elements.macroDonutChart;
+        if (!container || typeof Plotly === 'undefined') return;
+        const totals = await this.foodLog.getTotals(this.selectedDateKey);
+        const actual = this.stats.getMacroSplit(totals);
+        const target = this.stats.getMacroSplit(this.foodLog.getTargets(this.selectedDateKey));
+        const macros = [
+            { id: 'protein', label: 'Protein', color: '#a855f7' },
+            { id: 'carbs', label: 'Carbs', color: '#f97316' },
+            { id: 'fat', label: 'Fat', color: '#ec4899' }
+        ];
+        if (this.elements.macroSplitList) {
+            this.elements.macroSplitList.innerHTML = macros.map(m => `<div class="flex items-center gap-2">
+                <span class="w-3 h-3 rounded-full" style="background: ${m.color}"></span>
+                <span class="text-gray-700 w-16">${m.label}</span>
+                <span class="font-semibold text-gray-900 w-10 text-right">${actual ? `${actual[m.id]}%` : '-'}</span>
+                <span class="text-xs text-gray-400">target ${target ? `${target[m.id]}%` : '-'}</span></div>`).join('');
+        }
+        if (!actual) {
+            container.innerHTML = '<p class="text-center text-gray-400 py-24">Nothing logged yet</p>';
+            return;
+        }
+        const trace = {
+            labels: macros.map(m => m.label),
+            values: macros.map(m => totals[m.id] * this.stats.caloriesPerGram[m.id]),
+            marker: { colors: macros.map(m => m.color) },
+            type: 'pie', hole: 0.6, sort: false, textinfo: 'percent', hoverinfo: 'label+percent'
+        };
+        const layout = { showlegend: false, margin: { t: 10, l: 10, r: 10, b: 10 }, paper_bgcolor: 'rgba(0,0,0,0)' };
+        container.innerHTML = '';
+        Plotly.newPlot(container, [trace], layout, { responsive: true, displayModeBar: false });
+    }
+
+    /**
+     * Stacked weekly calories by source type and by time of day
+     */
+    async renderBreakdownCharts() {
+        const { sourceChart, timeOfDayChart } = this.elements;
+        if ((!sourceChart && !timeOfDayChart) || typeof Plotly === 'undefined') return;
+        const week = await this.stats.getWeeklyBreakdown(this.selectedDateKey);
+        const x = week.map(d => d.dayName);
+        const layout = { barmode: 'stack', showlegend: true, legend: { orientation: 'h', y: -0.2 }, margin: { t: 20, l: 50, r: 20, b: 40 }, paper_bgcolor: 'rgba(0,0,0,0)', plot_bgcolor: 'rgba(0,0,0,0)' };
+        const stack = (container, groups, field, colors) => {
+            if (!container) return;
+            const traces = groups.map((g, i) => ({ x, y: week.map(d => Math.round(d[field][g.id])), name: g.label, type: 'bar', marker: { color: colors[i] } }));
+            container.innerHTML = '';
+            Plotly.newPlot(container, traces, layout, { responsive: true, displayModeBar: false });
+        };
+        stack(sourceChart, this.stats.sourceTypes, 'bySource', ['#10b981', '#3b82f6', '#9ca3af']);
+        stack(timeOfDayChart, this.stats.timeBuckets, 'byTime', ['#fbbf24', '#f97316', '#6366f1', '#1e3a8a']);
+    }
+
+    /**
+     * Copy the day before the selected day onto it
+     */
+    async copyPreviousDay() {
+        const fromKey = this.foodLog.shiftDateKey(this.selectedDateKey, -1);
+        const copies = await this.history.copyDay(fromKey, this.selectedDateKey);
+        if (copies.length === 0) {
+            this.uiController.showToast(`Nothing logged on ${this.foodLog.formatDate(this.foodLog.parseDateKey(fromKey))}`, 'info');
+            return;
         }
+        this.render();
+        this.uiController.showToast(`Copied ${copies.length} item${copies.length !== 1 ? 's' : ''}`, 'success', this.undoAction());
+    }
+
+    /**
+     * Ask for a date and copy entries there
+     * @param {array} entries - Log entries to copy
+     */
+    showCopyToModal(entries) {
+        if (entries.length === 0) return;
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-4"><i class="fa-solid fa-copy text-indigo-600 mr-2"></i>Copy ${entries.length} Item${entries.length !== 1 ? 's' : ''}</h3>
+            <form id="copy-form" class="space-y-4"><div><label class="block text-sm font-medium mb-1">Copy to *</label><input type="date" name="date" required value="${this.foodLog.shiftDateKey(this.selectedDateKey, 1)}" class="w-full px-4 py-2 border rounded-lg" /></div>
+            <p class="text-sm text-gray-500">Copies keep their meal and time of day. ${Math.round(this.foodLog.calculateTotals(entries).calories)} kcal in total.</p>
+            <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg">Copy</button></div></form></div>`;
+        document.body.appendChild(modal);
+        modal.querySelector('#cancel-btn').addEventListener('click', () => modal.remove());
+        modal.querySelector('#copy-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const toKey = new FormData(e.target).get('date');
+            if (!this.foodLog.isValidDateKey(toKey)) {
+                this.uiController.showToast('Choose a valid date', 'error');
+                return;
+            }
+            modal.remove();
+            const copies = await this.history.copyEntries(entries, toKey);
+            this.selectedItemIds.clear();
+            this.render();
+            this.uiController.showToast(`Copied ${copies.length} item${copies.length !== 1 ? 's' : ''} to ${this.foodLog.formatDate(this.foodLog.parseDateKey(toKey))}`, 'success', this.undoAction());
+        });
+        modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    }
+
+    async handleClearAll() {
+        // No confirmation needed - the toast offers an undo
+        const cleared = await this.history.clearDay(this.selectedDateKey);
+        this.render();
+        this.uiController.showToast(`Cleared ${cleared.length} item${cleared.length !== 1 ? 's' : ''}`, 'info', this.undoAction());
     }
 
     showCustomEntryModal() {
@@ -138,74 +805,289 @@ export class FoodLogUI {
         modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
         modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-4"><i class="fa-solid fa-pencil text-purple-600 mr-2"></i>Add Custom Food</h3>
             <form id="custom-form" class="space-y-4"><div><label class="block text-sm font-medium mb-1">Name *</label><input type="text" name="name" required class="w-full px-4 py-2 border rounded-lg" /></div>
+            <div><label class="block text-sm font-medium mb-1">Meal</label><select name="mealSlot" class="w-full px-4 py-2 border rounded-lg">${this.renderMealSlotOptions()}</select></div>
             <div class="grid grid-cols-2 gap-4"><div><label class="block text-sm font-medium mb-1">Calories *</label><input type="number" name="calories" required min="0" class="w-full px-4 py-2 border rounded-lg" /></div><div><label class="block text-sm font-medium mb-1">Protein (g)</label><input type="number" name="protein" min="0" value="0" class="w-full px-4 py-2 border rounded-lg" /></div></div>
             <div class="grid grid-cols-2 gap-4"><div><label class="block text-sm font-medium mb-1">Carbs (g)</label><input type="number" name="carbs" min="0" value="0" class="w-full px-4 py-2 border rounded-lg" /></div><div><label class="block text-sm font-medium mb-1">Fat (g)</label><input type="number" name="fat" min="0" value="0" class="w-full px-4 py-2 border rounded-lg" /></div></div>
             <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg">Add</button></div></form></div>`;
         document.body.appendChild(modal);
         modal.querySelector('#cancel-btn').addEventListener('click', () => modal.remove());
-        modal.querySelector('#custom-form').addEventListener('submit', (e) => {
+        modal.querySelector('#custom-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const fd = new FormData(e.target);
+            await this.history.addItem({ name: fd.get('name'), type: 'custom', calories: +fd.get('calories'), protein: +fd.get('protein') || 0, carbs: +fd.get('carbs') || 0, fat: +fd.get('fat') || 0, mealSlot: fd.get('mealSlot') }, this.selectedDateKey);
+            modal.remove(); this.render(); this.uiController.showToast('Custom food added!', 'success', this.undoAction());
+        });
+        modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    }
+
+    /**
+     * Tag selects for an entry form
+     * @param {object} tags - Current tags
+     */
+    renderTagFields(tags = {}) {
+        const selects = this.foodLog.entryTags.map(tag => `<div><label class="block text-sm font-medium mb-1">${tag.label}</label>
+            <select name="tag-${tag.id}" class="w-full px-4 py-2 border rounded-lg"><option value="">-</option>
+            ${tag.options.map(o => `<option value="${o.id}" ${tags?.[tag.id] === o.id ? 'selected' : ''}>${o.label}</option>`).join('')}</select></div>`).join('');
+        return `<div class="grid grid-cols-3 gap-4">${selects}</div>
+            <label class="flex items-center gap-2 text-sm"><input type="checkbox" name="tag-ateOut" ${tags?.ateOut ? 'checked' : ''} /> Ate out</label>`;
+    }
+
+    /**
+     * Tags from a form built with renderTagFields
+     * @param {FormData} fd - The form data
+     */
+    readTagFields(fd) {
+        const tags = Object.fromEntries(this.foodLog.entryTags.map(tag => [tag.id, fd.get(`tag-${tag.id}`)]));
+        tags.ateOut = fd.get('tag-ateOut') === 'on';
+        return tags;
+    }
+
+    /**
+     * Journal note for the selected day
+     */
+    renderDayNote() {
+        const container = this.elements.dayNote;
+        if (!container) return;
+        // Don't throw away what is being typed when another change re-renders the page
+        if (container.contains(document.activeElement)) return;
+        const note = this.foodLog.getDayNote(this.selectedDateKey);
+        container.innerHTML = `<label for="day-note-text" class="block text-sm font-semibold text-gray-700 mb-2"><i class="fa-solid fa-book-open text-gray-400 mr-2"></i>Notes</label>
+            <textarea id="day-note-text" rows="2" maxlength="2000" placeholder="How did today go? Sleep, stress, cravings..." class="w-full px-4 py-2 border rounded-lg text-sm"></textarea>`;
+        const textarea = container.querySelector('#day-note-text');
+        textarea.value = note;
+        textarea.addEventListener('change', () => {
+            const dateKey = this.selectedDateKey;
+            const previous = this.foodLog.setDayNote(dateKey, textarea.value);
+            if (previous === textarea.value.trim()) return;
+            this.uiController.showToast('Note saved', 'success', {
+                label: 'Undo',
+                onClick: () => { this.foodLog.setDayNote(dateKey, previous); this.renderDayNote(); }
+            });
+        });
+    }
+
+    showEditEntryModal(item) {
+        const time = new Date(item.timestamp);
+        const timestamp = isNaN(time) ? this.foodLog.getTimestampForDateKey(this.selectedDateKey, new Date()) : time;
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-4"><i class="fa-solid fa-pen text-emerald-600 mr-2"></i>Edit Entry</h3>
+            <form id="edit-form" class="space-y-4"><div><label class="block text-sm font-medium mb-1">Name *</label><input type="text" name="name" required value="${escapeHtml(item.name)}" class="w-full px-4 py-2 border rounded-lg" /></div>
+            <div class="grid grid-cols-2 gap-4"><div><label class="block text-sm font-medium mb-1">Servings</label><input type="number" name="quantity" min="0.25" step="0.25" value="${item.quantity || 1}" class="w-full px-4 py-2 border rounded-lg" /></div><div><label class="block text-sm font-medium mb-1">Meal</label><select name="mealSlot" class="w-full px-4 py-2 border rounded-lg">${this.renderMealSlotOptions(this.foodLog.getMealSlot(item))}</select></div></div>
+            <p class="text-xs text-gray-500">Nutrition per serving</p>
+            <div class="grid grid-cols-2 gap-4"><div><label class="block text-sm font-medium mb-1">Calories</label><input type="number" name="calories" min="0" value="${item.calories}" class="w-full px-4 py-2 border rounded-lg" /></div><div><label class="block text-sm font-medium mb-1">Protein (g)</label><input type="number" name="protein" min="0" step="any" value="${item.protein}" class="w-full px-4 py-2 border rounded-lg" /></div></div>
+            <div class="grid grid-cols-2 gap-4"><div><label class="block text-sm font-medium mb-1">Carbs (g)</label><input type="number" name="carbs" min="0" step="any" value="${item.carbs}" class="w-full px-4 py-2 border rounded-lg" /></div><div><label class="block text-sm font-medium mb-1">Fat (g)</label><input type="number" name="fat" min="0" step="any" value="${item.fat}" class="w-full px-4 py-2 border rounded-lg" /></div></div>
+            <div><label class="block text-sm font-medium mb-1">Time</label><input type="datetime-local" name="timestamp" value="${this.toDateTimeLocalValue(timestamp)}" class="w-full px-4 py-2 border rounded-lg" /></div>
+            ${this.renderTagFields(item.tags)}
+            <p id="edit-total" class="text-sm font-semibold text-gray-700"></p>
+            <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-emerald-600 text-white rounded-lg">Save</button></div></form></div>`;
+        document.body.appendChild(modal);
+        const form = modal.querySelector('#edit-form');
+        const updateTotal = () => {
+            const fd = new FormData(form);
+            const totals = this.foodLog.calculateTotals([{ calories: +fd.get('calories') || 0, protein: +fd.get('protein') || 0, carbs: +fd.get('carbs') || 0, fat: +fd.get('fat') || 0, quantity: +fd.get('quantity') || 1 }]);
+            modal.querySelector('#edit-total').textContent = `Total: ${Math.round(totals.calories)} kcal · P ${Math.round(totals.protein)}g · C ${Math.round(totals.carbs)}g · F ${Math.round(totals.fat)}g`;
+        };
+        updateTotal();
+        form.addEventListener('input', updateTotal);
+        modal.querySelector('#cancel-btn').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const fd = new FormData(form);
+            const updated = await this.history.updateItem(item.id, {
+                name: fd.get('name'),
+                quantity: +fd.get('quantity'),
+                calories: +fd.get('calories'),
+                protein: +fd.get('protein'),
+                carbs: +fd.get('carbs'),
+                fat: +fd.get('fat'),
+                mealSlot: fd.get('mealSlot'),
+                tags: this.readTagFields(fd),
+                timestamp: fd.get('timestamp') ? new Date(fd.get('timestamp')).toISOString() : null
+            }, this.selectedDateKey);
+            modal.remove(); this.render();
+            if (updated) this.uiController.showToast('Entry updated', 'success', this.undoAction());
+            else this.uiController.showToast('Entry not found', 'error');
+        });
+        modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    }
+
+    showSettingsModal() {
+        const current = this.foodLog.settings.dayStartHour;
+        const limits = this.foodLog.nutrientLimits;
+        const hourOptions = Array.from({ length: 13 }, (_, h) =>
+            `<option value="${h}" ${h === current ? 'selected' : ''}>${h === 0 ? 'Midnight (default)' : `${String(h).padStart(2, '0')}:00`}</option>`
+        ).join('');
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-4"><i class="fa-solid fa-gear text-indigo-600 mr-2"></i>Food Log Settings</h3>
+            <form id="settings-form" class="space-y-4"><div><label class="block text-sm font-medium mb-1">Day starts at</label><select name="dayStartHour" class="w-full px-4 py-2 border rounded-lg">${hourOptions}</select>
+            <p class="text-xs text-gray-500 mt-1">Food logged before this hour counts towards the previous day. Useful for night shifts.</p></div>
+            <div><label class="block text-sm font-medium mb-1">Daily water goal (ml)</label><input type="number" name="waterGoal" min="250" max="10000" step="50" value="${this.water.getGoal()}" class="w-full px-4 py-2 border rounded-lg" /></div>
+            <div><label class="block text-sm font-medium mb-1">Daily limits</label><div class="grid grid-cols-3 gap-2">
+            ${this.foodLog.micronutrients.filter(n => limits[n.id]).map(n => `<div><label class="block text-xs text-gray-500 mb-1">${n.label} (${n.unit})</label>
+            <input type="number" name="limit-${n.id}" min="1" step="1" value="${limits[n.id]}" class="w-full px-4 py-2 border rounded-lg" /></div>`).join('')}</div>
+            <p class="text-xs text-gray-500 mt-1">Clear a field to restore the recommended limit.</p></div>
+            <div class="flex gap-3 pt-4"><button type="button" id="cancel-btn" class="flex-1 px-4 py-2 border rounded-lg">Cancel</button><button type="submit" class="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg">Save</button></div></form></div>`;
+        document.body.appendChild(modal);
+        modal.querySelector('#cancel-btn').addEventListener('click', () => modal.remove());
+        modal.querySelector('#settings-form').addEventListener('submit', async (e) => {
             e.preventDefault();
             const fd = new FormData(e.target);
-            this.foodLog.addItem({ name: fd.get('name'), type: 'custom', calories: +fd.get('calories'), protein: +fd.get('protein') || 0, carbs: +fd.get('carbs') || 0, fat: +fd.get('fat') || 0 });
-            modal.remove(); this.render(); this.uiController.showToast('Custom food added!', 'success');
+            this.water.setGoal(fd.get('waterGoal'));
+            this.foodLog.setNutrientLimits(Object.fromEntries(Object.keys(limits).map(id => [id, fd.get(`limit-${id}`)])));
+            await this.foodLog.setDayStartHour(+fd.get('dayStartHour'));
+            modal.remove(); this.render(); this.uiController.showToast('Settings saved', 'success');
+        });
+        modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    }
+
+    /**
+     * Ask the user what to do with food log data that can't be read
+     * @param {string} raw - The unreadable stored data
+     */
+    showRecoveryPrompt(raw) {
+        if (document.getElementById('foodlog-recovery-modal')) return;
+        const modal = document.createElement('div');
+        modal.id = 'foodlog-recovery-modal';
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-2"><i class="fa-solid fa-triangle-exclamation text-red-500 mr-2"></i>Food Log Can't Be Read</h3>
+            <p class="text-sm text-gray-600 mb-4">Your saved food log appears to be damaged. Nothing will be saved until you decide what to do. Download a copy first if you want to try to repair it.</p>
+            <div class="space-y-3"><button type="button" id="download-btn" class="w-full px-4 py-2 border rounded-lg"><i class="fa-solid fa-download mr-2"></i>Download damaged data</button>
+            <button type="button" id="reset-btn" class="w-full px-4 py-2 bg-red-500 text-white rounded-lg">Start a new log (keep a backup copy)</button>
+            <button type="button" id="later-btn" class="w-full px-4 py-2 text-gray-500 rounded-lg">Decide later</button></div></div>`;
+        document.body.appendChild(modal);
+        modal.querySelector('#download-btn').addEventListener('click', () => {
+            this.downloadFile(`nutriplan-foodlog-damaged-${this.foodLog.getDateKey()}.json`, raw, 'application/json');
+        });
+        modal.querySelector('#reset-btn').addEventListener('click', async () => {
+            const backupKey = await this.foodLog.recoverFromCorruptData();
+            modal.remove(); this.render();
+            this.uiController.showToast(backupKey ? 'New food log started. The old data was kept as a backup.' : 'New food log started', 'info');
         });
+        modal.querySelector('#later-btn').addEventListener('click', () => modal.remove());
+    }
+
+    /**
+     * Let the user download the whole food log as JSON or CSV
+     */
+    showExportModal() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `<div class="bg-white rounded-2xl p-6 w-full max-w-md mx-4"><h3 class="text-xl font-bold mb-2">Export Food Log</h3>
+            <p class="text-sm text-gray-600 mb-4">Download your full history.</p>
+            <div class="space-y-3"><button type="button" id="export-json-btn" class="w-full px-4 py-3 border rounded-lg text-left hover:bg-gray-50"><i class="fa-solid fa-file-code text-indigo-600 mr-2"></i><span class="font-semibold">JSON backup</span>
+            <p class="text-xs text-gray-500 mt-1">Everything, including targets and settings. Use this to move or restore your data.</p></button>
+            <button type="button" id="export-csv-btn" class="w-full px-4 py-3 border rounded-lg text-left hover:bg-gray-50"><i class="fa-solid fa-file-csv text-emerald-600 mr-2"></i><span class="font-semibold">CSV spreadsheet</span>
+            <p class="text-xs text-gray-500 mt-1">One row per entry: date, time, name, type, quantity, kcal, macros, fiber, sugar, sodium, saturated fat.</p></button>
+            <button type="button" id="export-water-csv-btn" class="w-full px-4 py-3 border rounded-lg text-left hover:bg-gray-50"><i class="fa-solid fa-droplet text-sky-500 mr-2"></i><span class="font-semibold">Water CSV</span>
+            <p class="text-xs text-gray-500 mt-1">One row per drink: date, time, ml.</p></button>
+            <button type="button" id="cancel-btn" class="w-full px-4 py-2 text-gray-500 rounded-lg">Cancel</button></div></div>`;
+        document.body.appendChild(modal);
+        const exportAs = async (extension, type, build, name) => {
+            try {
+                this.downloadFile(this.exporter.getFileName(extension, name), await build(), type);
+                modal.remove();
+                this.uiController.showToast('Food log exported', 'success');
+            } catch (error) {
+                console.error('Error exporting food log:', error);
+                this.uiController.showToast('Could not export the food log', 'error');
+            }
+        };
+        modal.querySelector('#export-json-btn').addEventListener('click', () => exportAs('json', 'application/json', () => this.exporter.toJSON()));
+        modal.querySelector('#export-csv-btn').addEventListener('click', () => exportAs('csv', 'text/csv', () => this.exporter.toCSV()));
+        modal.querySelector('#export-water-csv-btn').addEventListener('click', () => exportAs('csv', 'text/csv', () => this.exporter.toWaterCSV(), 'water'));
+        modal.querySelector('#cancel-btn').addEventListener('click', () => modal.remove());
         modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
     }
 
-    renderWeeklyOverview() {
+    /**
+     * Download text as a file
+     * @param {string} fileName - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Format a date for a datetime-local input (local time, minute precision)
+     * @param {Date} date - The date
+     */
+    toDateTimeLocalValue(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    async renderWeeklyOverview() {
         const container = document.getElementById('weekly-days-grid');
         if (!container) return;
 
-        const weekData = this.foodLog.getWeeklyData();
-        const today = new Date().toISOString().split('T')[0];
+        const weekData = await this.foodLog.getWeeklyData(this.selectedDateKey);
+        const water = this.water.getDailyTotals();
+        const today = this.foodLog.getDateKey();
 
         container.innerHTML = weekData.map(day => {
             const isToday = day.date === today;
-            const date = new Date(day.date);
+            const date = this.foodLog.parseDateKey(day.date);
             const dayNum = date.getDate();
 
             return `
-                <div class="text-center p-3 rounded-lg ${isToday ? 'bg-indigo-100 border border-indigo-200' : 'border border-gray-100'}">
+                <div class="weekly-day-card cursor-pointer text-center p-3 rounded-lg ${isToday ? 'bg-indigo-100 border border-indigo-200' : 'border border-gray-100'} ${day.date === this.selectedDateKey ? 'ring-2 ring-indigo-500' : 'hover:bg-gray-50'}" data-date="${day.date}">
                     <p class="text-xs ${isToday ? 'text-indigo-600' : 'text-gray-400'} mb-1">${day.dayName}</p>
                     <p class="font-bold ${isToday ? 'text-indigo-700' : 'text-gray-700'}">${dayNum}</p>
                     <p class="text-sm font-medium ${isToday ? 'text-indigo-600' : 'text-gray-500'} mt-2">${Math.round(day.calories)}</p>
                     <p class="text-xs ${isToday ? 'text-indigo-400' : 'text-gray-400'}">kcal</p>
+                    ${water[day.date] ? `<p class="text-xs text-sky-500 mt-1"><i class="fa-solid fa-droplet mr-0.5"></i>${(water[day.date] / 1000).toFixed(1)} L</p>` : ''}
                 </div>
             `;
         }).join('');
+        container.querySelectorAll('.weekly-day-card').forEach(card => {
+            card.addEventListener('click', () => this.goToDate(card.dataset.date));
+        });
     }
 
-    renderWeeklyStats() {
-        const weekData = this.foodLog.getWeeklyData();
-        const allData = this.foodLog.getAllData();
+    async renderWeeklyStats() {
+        const weekData = await this.foodLog.getWeeklyData(this.selectedDateKey);
 
-        // Calculate weekly average
-        const totalCalories = weekData.reduce((sum, day) => sum + day.calories, 0);
+        // Calculate weekly average (net of exercise in net calories mode)
+        const totalCalories = weekData.reduce((sum, day) => sum + day.counted, 0);
         const avgCalories = Math.round(totalCalories / 7);
 
         // Count total items this week
         let totalItems = 0;
         weekData.forEach(day => {
-            const items = allData[day.date] || [];
-            totalItems += items.length;
+            totalItems += day.itemCount;
         });
 
-        // Count days on goal (within 90%-110% of target)
-        const target = this.foodLog.dailyTargets.calories;
+        // Count days on goal (within 90%-110% of the target active that day)
         let daysOnGoal = 0;
         weekData.forEach(day => {
-            if (day.calories >= target * 0.9 && day.calories <= target * 1.1) {
+            const target = day.targets.calories;
+            if (day.counted >= target * 0.9 && day.counted <= target * 1.1) {
                 daysOnGoal++;
             }
         });
 
+        // Average water per day
+        const water = this.water.getDailyTotals();
+        const avgWater = Math.round(weekData.reduce((sum, day) => sum + (water[day.date] || 0), 0) / 7);
+
         // Update DOM elements
         const avgEl = document.getElementById('weekly-avg-kcal');
         const itemsEl = document.getElementById('weekly-total-items');
         const goalsEl = document.getElementById('days-on-goal');
+        const waterEl = document.getElementById('weekly-avg-water');
 
         if (avgEl) avgEl.textContent = `${avgCalories} kcal`;
         if (itemsEl) itemsEl.textContent = `${totalItems} items`;
         if (goalsEl) goalsEl.textContent = `${daysOnGoal} / 7`;
+        if (waterEl) waterEl.textContent = `${avgWater} ml`;
     }
 }
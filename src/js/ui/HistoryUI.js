@@ -0,0 +1,259 @@
+/**
+ * HistoryUI - Long-range history on the Food Log page
+ * Calorie and macro trends, weekday vs weekend and target adherence for
+ * 30 days, 90 days, a year or a custom range, optionally only on days with a tag.
+ */
+export class HistoryUI {
+    constructor(stats, uiController) {
+        this.stats = stats;
+        this.foodLog = stats.foodLog;
+        this.uiController = uiController;
+        // Preset range id, or 'custom'
+        this.rangeId = '30';
+        this.customRange = null;
+        // { tagId, value } or null for every logged day
+        this.filter = null;
+        // Ignores renders that finish after a newer one started
+        this.renderId = 0;
+        this.elements = {
+            rangeLabel: document.getElementById('history-range-label'),
+            rangeBtns: document.getElementById('history-range-btns'),
+            customForm: document.getElementById('history-custom-form'),
+            tagFilter: document.getElementById('history-tag-filter'),
+            summary: document.getElementById('history-summary'),
+            caloriesChart: document.getElementById('history-calories-chart'),
+            macrosChart: document.getElementById('history-macros-chart'),
+            weekdayWeekend: document.getElementById('history-weekday-weekend'),
+            adherence: document.getElementById('history-adherence')
+        };
+        this.colors = { calories: '#10b981', protein: '#a855f7', carbs: '#f97316', fat: '#ec4899' };
+        this.renderRangeButtons();
+        this.renderTagFilter();
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        this.elements.rangeBtns?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.history-range-btn');
+            if (!btn) return;
+            this.rangeId = btn.dataset.range;
+            this.render();
+        });
+        this.elements.tagFilter?.addEventListener('change', (e) => {
+            const [tagId, value] = e.target.value.split(':');
+            this.filter = tagId ? { tagId, value } : null;
+            this.render();
+        });
+        this.elements.customForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const { startKey, endKey } = Object.fromEntries(new FormData(e.target));
+            const problem = this.stats.validateRange(startKey, endKey);
+            if (problem) {
+                this.uiController.showToast(problem, 'error');
+                return;
+            }
+            this.customRange = { startKey, endKey };
+            this.render();
+        });
+    }
+
+    renderRangeButtons() {
+        const { rangeBtns } = this.elements;
+        if (!rangeBtns) return;
+        rangeBtns.innerHTML = [...this.stats.ranges, { id: 'custom', label: 'Custom' }]
+            .map(r => `<button type="button" class="history-range-btn px-3 py-1 rounded-md font-medium" data-range="${r.id}">${r.label}</button>`)
+            .join('');
+    }
+
+    /**
+     * Options for the tag filter, grouped by tag
+     */
+    renderTagFilter() {
+        const { tagFilter } = this.elements;
+        if (!tagFilter) return;
+        const groups = this.foodLog.entryTags.map(tag => `<optgroup label="${tag.label}">
+            ${tag.options.map(o => `<option value="${tag.id}:${o.id}">${o.label}</option>`).join('')}</optgroup>`).join('');
+        tagFilter.innerHTML = `<option value="">All logged days</option>${groups}<optgroup label="Other"><option value="ateOut:true">Ate out</option></optgroup>`;
+    }
+
+    /**
+     * Label of the active tag filter, e.g. 'Mood: Stressed'
+     */
+    describeFilter() {
+        if (!this.filter) return '';
+        if (this.filter.tagId === 'ateOut') return 'Ate out';
+        const tag = this.foodLog.entryTags.find(t => t.id === this.filter.tagId);
+        return `${tag.label}: ${tag.options.find(o => o.id === this.filter.value).label}`;
+    }
+
+    /**
+     * First and last day of the chosen range
+     */
+    getRange() {
+        if (this.rangeId === 'custom') {
+            if (!this.customRange) this.customRange = this.stats.getRangeKeys('30');
+            return this.customRange;
+        }
+        return this.stats.getRangeKeys(this.rangeId);
+    }
+
+    async render() {
+        if (!this.elements.summary) return;
+        const renderId = ++this.renderId;
+        const { startKey, endKey } = this.getRange();
+        this.updateControls(startKey, endKey);
+        try {
+            const history = await this.stats.getHistory(startKey, endKey, this.filter);
+            if (renderId !== this.renderId) return;
+            this.renderSummary(history);
+            this.renderCaloriesChart(history);
+            this.renderMacrosChart(history);
+            this.renderWeekdayWeekend(history);
+            this.renderAdherence(history);
+        } catch (error) {
+            console.error('Error loading food log history:', error);
+            this.uiController.showToast('Could not load your history', 'error');
+        }
+    }
+
+    /**
+     * Highlight the active range and show the custom range form when needed
+     * @param {string} startKey - First day
+     * @param {string} endKey - Last day
+     */
+    updateControls(startKey, endKey) {
+        const { rangeBtns, customForm, rangeLabel } = this.elements;
+        rangeBtns?.querySelectorAll('.history-range-btn').forEach(btn => {
+            const active = btn.dataset.range === this.rangeId;
+            btn.classList.toggle('bg-white', active);
+            btn.classList.toggle('shadow-sm', active);
+            btn.classList.toggle('text-gray-900', active);
+            btn.classList.toggle('text-gray-500', !active);
+        });
+        if (customForm) {
+            customForm.style.display = this.rangeId === 'custom' ? '' : 'none';
+            customForm.elements.startKey.value = startKey;
+            customForm.elements.endKey.value = endKey;
+        }
+        if (rangeLabel) {
+            const format = (key) => this.foodLog.formatDate(this.foodLog.parseDateKey(key));
+            rangeLabel.textContent = `${format(startKey)} – ${format(endKey)}${this.filter ? ` · days tagged ${this.describeFilter()}` : ''}`;
+        }
+    }
+
+    /**
+     * Headline numbers for the range
+     * @param {object} history - From FoodLogStats.getHistory
+     */
+    renderSummary(history) {
+        const { averages, otherAverages, adherence, loggedDays, days } = history;
+        const percent = (value) => value === null ? '-' : `${value}%`;
+        const cards = [
+            { label: 'Average Calories', value: averages.calories === null ? '-' : `${averages.calories} kcal`, icon: 'fa-fire', col: 'emerald',
+                note: otherAverages?.calories != null ? `${otherAverages.calories} kcal on other days` : '' },
+            { label: history.filter ? 'Matching Days' : 'Days Logged', value: `${loggedDays} / ${days.length}`, icon: 'fa-calendar-check', col: 'blue' },
+            { label: 'Calories On Target', value: percent(adherence.calories), icon: 'fa-bullseye', col: 'purple' },
+            { label: 'All Macros On Target', value: percent(adherence.all), icon: 'fa-scale-balanced', col: 'orange' }
+        ];
+        this.elements.summary.innerHTML = cards.map(c => `<div class="rounded-xl p-4 border border-gray-200 flex items-center gap-4">
+            <div class="w-12 h-12 rounded-xl bg-${c.col}-100 flex items-center justify-center"><i class="fa-solid ${c.icon} text-${c.col}-600 text-xl"></i></div>
+            <div><p class="text-sm text-gray-500">${c.label}</p><p class="text-xl font-bold text-gray-900">${c.value}</p>${c.note ? `<p class="text-xs text-gray-400">${c.note}</p>` : ''}</div></div>`).join('');
+    }
+
+    /**
+     * Daily calories, rolling average and the target active each day
+     * @param {object} history - From FoodLogStats.getHistory
+     */
+    renderCaloriesChart(history) {
+        const container = this.elements.caloriesChart;
+        if (!container || typeof Plotly === 'undefined') return;
+        if (history.loggedDays === 0) {
+            container.innerHTML = `<p class="text-center text-gray-400 py-24">${history.filter ? 'No matching days in this range' : 'Nothing logged in this range'}</p>`;
+            return;
+        }
+        const x = history.days.map(day => day.date);
+        const traces = [
+            { x, y: history.days.map(day => day.included ? Math.round(day.counted) : null), name: 'Daily', type: 'bar', marker: { color: '#a7f3d0' } },
+            { x, y: history.rolling.calories, name: `${this.stats.rollingDays}-day average`, type: 'scatter', mode: 'lines', connectgaps: true, line: { color: this.colors.calories, width: 3 } },
+            { x, y: history.days.map(day => day.targets.calories), name: 'Target', type: 'scatter', mode: 'lines', line: { color: '#6366f1', dash: 'dash', width: 1, shape: 'hv' } }
+        ];
+        this.plot(container, traces, { yaxis: { ticksuffix: ' kcal' } });
+    }
+
+    /**
+     * Rolling averages of each macro
+     * @param {object} history - From FoodLogStats.getHistory
+     */
+    renderMacrosChart(history) {
+        const container = this.elements.macrosChart;
+        if (!container || typeof Plotly === 'undefined') return;
+        if (history.loggedDays === 0) {
+            container.innerHTML = `<p class="text-center text-gray-400 py-24">${history.filter ? 'No matching days in this range' : 'Nothing logged in this range'}</p>`;
+            return;
+        }
+        const x = history.days.map(day => day.date);
+        const traces = this.stats.metrics.filter(m => m.id !== 'calories').map(m => ({
+            x, y: history.rolling[m.id], name: m.label, type: 'scatter', mode: 'lines', connectgaps: true, line: { color: this.colors[m.id], width: 2 }
+        }));
+        this.plot(container, traces, { yaxis: { ticksuffix: ' g' } });
+    }
+
+    /**
+     * Draw a chart in the history card's style
+     * @param {HTMLElement} container - Chart element
+     * @param {array} traces - Plotly traces
+     * @param {object} layout - Layout options to add
+     */
+    plot(container, traces, layout) {
+        container.innerHTML = '';
+        Plotly.newPlot(container, traces, {
+            showlegend: true,
+            legend: { orientation: 'h', y: -0.2 },
+            margin: { t: 20, l: 60, r: 20, b: 40 },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            ...layout
+        }, { responsive: true, displayModeBar: false });
+    }
+
+    /**
+     * Weekday and weekend averages side by side
+     * @param {object} history - From FoodLogStats.getHistory
+     */
+    renderWeekdayWeekend(history) {
+        const container = this.elements.weekdayWeekend;
+        if (!container) return;
+        const { weekday, weekend } = history.weekdayWeekend;
+        const format = (value, unit) => value === null ? '-' : `${value} ${unit}`;
+        const rows = this.stats.metrics.map(m => {
+            const a = weekday.averages[m.id];
+            const b = weekend.averages[m.id];
+            const diff = a !== null && b !== null ? b - a : null;
+            return `<tr class="border-b border-gray-100"><td class="py-2 text-gray-500">${m.label}</td>
+                <td class="py-2 text-right font-semibold text-gray-900">${format(a, m.unit)}</td>
+                <td class="py-2 text-right font-semibold text-gray-900">${format(b, m.unit)}</td>
+                <td class="py-2 text-right ${diff > 0 ? 'text-orange-600' : 'text-gray-500'}">${diff === null ? '-' : `${diff > 0 ? '+' : ''}${diff} ${m.unit}`}</td></tr>`;
+        }).join('');
+        container.innerHTML = `<p class="text-sm font-semibold text-gray-700 mb-2">Weekdays vs weekends</p>
+            <table class="w-full text-sm"><thead><tr class="text-xs text-gray-400"><th class="text-left font-normal py-1"></th>
+            <th class="text-right font-normal py-1">Mon–Fri (${weekday.days})</th><th class="text-right font-normal py-1">Sat–Sun (${weekend.days})</th><th class="text-right font-normal py-1">Difference</th></tr></thead>
+            <tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Share of logged days on target for each metric
+     * @param {object} history - From FoodLogStats.getHistory
+     */
+    renderAdherence(history) {
+        const container = this.elements.adherence;
+        if (!container) return;
+        const bars = this.stats.metrics.map(m => {
+            const pct = history.adherence[m.id];
+            return `<div><div class="flex justify-between text-sm mb-1"><span class="text-gray-500">${m.label}</span><span class="font-semibold text-gray-900">${pct === null ? '-' : `${pct}%`}</span></div>
+                <div class="w-full bg-gray-100 rounded-full h-2"><div class="h-2 rounded-full" style="width: ${pct || 0}%; background: ${this.colors[m.id]}"></div></div></div>`;
+        }).join('');
+        container.innerHTML = `<p class="text-sm font-semibold text-gray-700 mb-2">Adherence</p>
+            <p class="text-xs text-gray-500 mb-3">Logged days within ${Math.round(this.stats.tolerance * 100)}% of the target active that day.</p>
+            <div class="space-y-3">${bars}</div>`;
+    }
+}
@@ -3,9 +3,10 @@
  * Manages meal cards, categories, and meal details
  */
 export class MealsUI {
-    constructor(mealService, foodLog, uiController, router, nutritionService = null) {
+    constructor(mealService, foodLog, uiController, router, nutritionService = null, history = null) {
         this.mealService = mealService;
         this.foodLog = foodLog;
+        this.history = history;
         this.uiController = uiController;
         this.router = router;
         this.nutritionService = nutritionService;
@@ -566,7 +567,7 @@ export class MealsUI {
         }
 
         // Store current meal for logging
-        this.currentMeal = { meal, mealName, mealThumb, nutrition };
+        this.currentMeal = { meal, mealId, mealName, mealThumb, nutrition };
 
         // Update hero section
         const heroImg = section.querySelector('.relative.h-80 img, .relative.h-96 img');
@@ -823,10 +824,12 @@ export class MealsUI {
         const mealImage = document.getElementById('modal-meal-image');
         const mealNameEl = document.getElementById('modal-meal-name');
         const servingInput = document.getElementById('modal-serving-input');
+        const mealSlotSelect = document.getElementById('modal-meal-slot');
 
         if (mealImage) mealImage.src = mealThumb || '';
         if (mealNameEl) mealNameEl.textContent = mealName || 'Unknown Meal';
         if (servingInput) servingInput.value = '1';
+        if (mealSlotSelect) mealSlotSelect.value = this.foodLog.guessMealSlot();
 
         // Update nutrition display
         this.updateModalNutrition(nutrition, 1);
@@ -900,7 +903,8 @@ export class MealsUI {
         newConfirmBtn?.addEventListener('click', () => {
             const input = document.getElementById('modal-serving-input');
             const servings = parseInt(input?.value) || 1;
-            this.confirmLogMeal(servings);
+            const mealSlot = document.getElementById('modal-meal-slot')?.value;
+            this.confirmLogMeal(servings, mealSlot);
         });
 
         // Close on backdrop click
@@ -939,24 +943,33 @@ export class MealsUI {
 
     /**
      * Confirm and log the meal with selected servings
+     * @param {number} servings - Number of servings
+     * @param {string} mealSlot - Meal slot id (guessed from the time of day when omitted)
      */
-    confirmLogMeal(servings = 1) {
+    async confirmLogMeal(servings = 1, mealSlot = null) {
         if (!this.currentMeal) return;
 
-        const { mealName, mealThumb, nutrition } = this.currentMeal;
+        const { mealId, mealName, mealThumb, nutrition } = this.currentMeal;
 
-        this.foodLog.addItem({
+        await this.history.addItem({
             name: mealName,
             type: 'meal',
+            sourceId: mealId ? String(mealId) : null,
             image: mealThumb,
-            calories: Math.round(nutrition.calories * servings),
-            protein: Math.round(nutrition.protein * servings),
-            carbs: Math.round(nutrition.carbs * servings),
-            fat: Math.round(nutrition.fat * servings),
-            quantity: servings
+            calories: Math.round(nutrition.calories),
+            protein: Math.round(nutrition.protein),
+            carbs: Math.round(nutrition.carbs),
+            fat: Math.round(nutrition.fat),
+            fiber: Math.round(nutrition.fiber || 0),
+            sugar: Math.round(nutrition.sugar || 0),
+            sodium: Math.round(nutrition.sodium || 0),
+            saturatedFat: Math.round(nutrition.saturatedFat || 0),
+            quantity: servings,
+            mealSlot
         });
 
         this.closeLogMealModal();
-        this.uiController.showToast(`${mealName} (${servings} serving${servings > 1 ? 's' : ''}) added to food log!`, 'success');
+        this.uiController.showToast(`${mealName} (${servings} serving${servings > 1 ? 's' : ''}) added to food log!`, 'success',
+            { label: 'Undo', onClick: () => this.history.undo() });
     }
 }
@@ -2,9 +2,10 @@
  * ProductsUI - Handles rendering for the Product Scanner page
  */
 export class ProductsUI {
-    constructor(productService, foodLog, uiController) {
+    constructor(productService, foodLog, uiController, history) {
         this.productService = productService;
         this.foodLog = foodLog;
+        this.history = history;
         this.uiController = uiController;
         this.products = [];
         this.categories = [];
@@ -279,19 +280,26 @@ export class ProductsUI {
         }
     }
 
-    addProductToLog(barcode) {
+    async addProductToLog(barcode, mealSlot = null) {
         const product = this.products.find(p => p.barcode === barcode);
         if (!product) return;
-        this.foodLog.addItem({
+        await this.history.addItem({
             name: `${product.brand} - ${product.name}`,
             type: 'product',
+            sourceId: barcode,
             image: product.image,
             calories: product.nutrition.calories,
             protein: product.nutrition.protein,
             carbs: product.nutrition.carbs,
-            fat: product.nutrition.fat
+            fat: product.nutrition.fat,
+            fiber: product.nutrition.fiber,
+            sugar: product.nutrition.sugar,
+            // Product sodium is in grams; the log keeps milligrams
+            sodium: Math.round((product.nutrition.sodium || 0) * 1000),
+            saturatedFat: product.nutrition.saturatedFat,
+            mealSlot
         });
-        this.uiController.showToast(`${product.name} added to food log!`, 'success');
+        this.uiController.showToast(`${product.name} added to food log!`, 'success', { label: 'Undo', onClick: () => this.history.undo() });
     }
 
     setupModalCloseHandlers() {
@@ -489,6 +497,14 @@ export class ProductsUI {
                     </div>
                 ` : ''}
 
+                <!-- Meal Slot -->
+                <div class="flex items-center gap-4 pt-6">
+                    <label for="product-meal-slot" class="text-base font-semibold text-gray-700">Log to</label>
+                    <select id="product-meal-slot" class="flex-1 px-4 py-3 border-2 border-gray-200 rounded-xl font-medium text-gray-900 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500">
+                        ${this.foodLog.mealSlots.map(slot => `<option value="${slot.id}" ${slot.id === this.foodLog.guessMealSlot() ? 'selected' : ''}>${slot.label}</option>`).join('')}
+                    </select>
+                </div>
+
                 <!-- Action Buttons -->
                 <div class="flex gap-4 pt-6">
                     <button onclick="window.productsUI.logProductFromModal('${barcode}')" 
@@ -515,8 +531,9 @@ export class ProductsUI {
         modal.classList.add('hidden');
     }
 
-    logProductFromModal(barcode) {
-        this.addProductToLog(barcode);
+    async logProductFromModal(barcode) {
+        const mealSlot = document.getElementById('product-meal-slot')?.value;
+        await this.addProductToLog(barcode, mealSlot);
         this.closeProductModal();
     }
 }
@@ -0,0 +1,188 @@
+/**
+ * ProfileUI - Handles the Profile page
+ * Edits the personal details and previews the daily targets they produce
+ */
+import { escapeHtml } from './components.js?v=1.13';
+
+export class ProfileUI {
+    constructor(profile, uiController) {
+        this.profile = profile;
+        this.uiController = uiController;
+        this.elements = {
+            form: document.getElementById('profile-form'),
+            activitySelect: document.getElementById('profile-activity'),
+            goalSelect: document.getElementById('profile-goal'),
+            macroSplitSelect: document.getElementById('profile-macro-split'),
+            targets: document.getElementById('profile-targets'),
+            weekdayForm: document.getElementById('weekday-targets-form'),
+            weekdayTargets: document.getElementById('profile-weekday-targets'),
+            periodForm: document.getElementById('target-period-form'),
+            periodsList: document.getElementById('profile-target-periods')
+        };
+        this.weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.renderOptions();
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        const { form } = this.elements;
+        form?.addEventListener('input', () => this.renderTargets(this.readForm()));
+        form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSave();
+        });
+        this.elements.weekdayForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleWeekdaySave();
+        });
+        this.elements.periodForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddPeriod();
+        });
+    }
+
+    /**
+     * Fill the activity, goal and macro split selects
+     */
+    renderOptions() {
+        const { activitySelect, goalSelect, macroSplitSelect } = this.elements;
+        const toOptions = (list) => list.map(o => `<option value="${o.id}">${o.label}</option>`).join('');
+        if (activitySelect) activitySelect.innerHTML = toOptions(this.profile.activityLevels);
+        if (goalSelect) goalSelect.innerHTML = toOptions(this.profile.goals);
+        if (macroSplitSelect) macroSplitSelect.innerHTML = toOptions(this.profile.macroSplits);
+    }
+
+    /**
+     * Render the form with the saved profile
+     */
+    render() {
+        const { form } = this.elements;
+        if (!form) return;
+        const data = this.profile.data;
+        ['sex', 'age', 'heightCm', 'weightKg', 'activityLevel', 'goal', 'macroSplit'].forEach(name => {
+            if (form.elements[name]) form.elements[name].value = data[name] ?? '';
+        });
+        this.renderTargets(data);
+        this.renderSchedule();
+    }
+
+    /**
+     * Render the weekday inputs and the list of date ranges
+     */
+    renderSchedule() {
+        const { weekdayTargets, periodsList } = this.elements;
+        const { weekdayTargets: weekdays = {}, targetPeriods = [] } = this.profile.data;
+
+        if (weekdayTargets) {
+            // Monday first
+            weekdayTargets.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `<div>
+                <label class="block text-xs font-medium text-gray-500 mb-1">${this.weekdayNames[day]}</label>
+                <input type="number" name="${day}" min="1" placeholder="-" value="${weekdays[day]?.calories ?? ''}" class="w-full px-3 py-2 border rounded-lg" /></div>`).join('');
+        }
+
+        if (periodsList) {
+            if (targetPeriods.length === 0) {
+                periodsList.innerHTML = '<p class="text-sm text-gray-400">No date ranges yet</p>';
+                return;
+            }
+            const sorted = [...targetPeriods].sort((a, b) => a.startDate.localeCompare(b.startDate));
+            periodsList.innerHTML = sorted.map(p => {
+                const macros = ['protein', 'carbs', 'fat'].filter(k => p[k] !== null).map(k => `${p[k]}g ${k}`).join(', ');
+                return `<div class="flex items-center justify-between p-3 border border-gray-200 rounded-xl">
+                    <div><p class="font-semibold text-gray-900">${escapeHtml(p.label)}</p>
+                    <p class="text-xs text-gray-500">${p.startDate} → ${p.endDate} · ${p.calories} kcal${macros ? ` · ${macros}` : ''}</p></div>
+                    <button class="remove-period-btn text-gray-400 hover:text-red-500 p-2" data-period-id="${escapeHtml(p.id)}" aria-label="Remove date range"><i class="fa-solid fa-trash-can"></i></button></div>`;
+            }).join('');
+            periodsList.querySelectorAll('.remove-period-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.handleRemovePeriod(btn.dataset.periodId));
+            });
+        }
+    }
+
+    /**
+     * Read the form as profile data (unsaved)
+     */
+    readForm() {
+        const formData = Object.fromEntries(new FormData(this.elements.form));
+        return { ...this.profile.data, ...this.profile.sanitize(formData) };
+    }
+
+    /**
+     * Show BMR, TDEE and the resulting targets for some profile data
+     * @param {object} data - Profile data
+     */
+    renderTargets(data) {
+        const { targets } = this.elements;
+        if (!targets) return;
+
+        const daily = this.profile.getDailyTargets(data);
+        if (!daily) {
+            targets.innerHTML = `<div class="text-center py-8 text-gray-500"><i class="fa-solid fa-calculator text-4xl mb-3 text-gray-300"></i>
+                <p class="font-medium">Fill in sex, age, height and weight</p>
+                <p class="text-sm">Until then the food log uses its default targets.</p></div>`;
+            return;
+        }
+
+        const rows = [
+            { label: 'BMR', value: `${this.profile.calculateBMR(data)} kcal`, cls: 'text-gray-900' },
+            { label: 'TDEE', value: `${this.profile.calculateTDEE(data)} kcal`, cls: 'text-gray-900' },
+            { label: 'Calories', value: `${daily.calories} kcal`, cls: 'text-blue-600' },
+            { label: 'Protein', value: `${daily.protein} g`, cls: 'text-purple-600' },
+            { label: 'Carbs', value: `${daily.carbs} g`, cls: 'text-orange-600' },
+            { label: 'Fat', value: `${daily.fat} g`, cls: 'text-pink-600' }
+        ];
+        targets.innerHTML = rows.map(r => `<div class="flex justify-between py-2 border-b border-gray-100">
+            <span class="text-sm text-gray-500">${r.label}</span><span class="font-bold ${r.cls}">${r.value}</span></div>`).join('');
+    }
+
+    handleSave() {
+        this.profile.save(Object.fromEntries(new FormData(this.elements.form)));
+        this.render();
+        const message = this.profile.isComplete()
+            ? 'Profile saved - daily targets updated'
+            : 'Profile saved - add sex, age, height and weight to compute targets';
+        this.uiController.showToast(message, this.profile.isComplete() ? 'success' : 'info');
+    }
+
+    handleWeekdaySave() {
+        const weekdayTargets = {};
+        Object.entries(Object.fromEntries(new FormData(this.elements.weekdayForm))).forEach(([day, calories]) => {
+            if (calories !== '') weekdayTargets[day] = { calories };
+        });
+        this.profile.save({ weekdayTargets });
+        this.renderSchedule();
+        this.uiController.showToast('Weekday targets saved');
+    }
+
+    handleAddPeriod() {
+        const period = Object.fromEntries(new FormData(this.elements.periodForm));
+        if (!period.startDate || !period.endDate || !this.profile.sanitizeTargets(period)) {
+            this.uiController.showToast('Enter a start date, an end date and a calorie target', 'error');
+            return;
+        }
+        if (period.startDate > period.endDate) {
+            this.uiController.showToast('The date range ends before it starts', 'error');
+            return;
+        }
+        const targetPeriods = [...(this.profile.data.targetPeriods || []), period];
+        this.profile.save({ targetPeriods });
+        if (this.profile.data.targetPeriods.length < targetPeriods.length) {
+            this.uiController.showToast('Could not add the date range', 'error');
+            return;
+        }
+        this.elements.periodForm.reset();
+        this.renderSchedule();
+        this.uiController.showToast('Date range added');
+    }
+
+    /**
+     * Remove a date range
+     * @param {string} periodId - The period id
+     */
+    handleRemovePeriod(periodId) {
+        const targetPeriods = (this.profile.data.targetPeriods || []).filter(p => p.id !== periodId);
+        this.profile.save({ targetPeriods });
+        this.renderSchedule();
+        this.uiController.showToast('Date range removed', 'info');
+    }
+}
@@ -21,6 +21,7 @@ export class UIController {
             mealDetailsSection: document.getElementById('meal-details'),
             productsSection: document.getElementById('products-section'),
             foodlogSection: document.getElementById('foodlog-section'),
+            profileSection: document.getElementById('profile-section'),
 
             // Navigation links
             navLinks: document.querySelectorAll('.nav-link')
@@ -97,7 +98,8 @@ export class UIController {
         const pageIndex = {
             'home': 0,
             'scanner': 1,
-            'foodlog': 2
+            'foodlog': 2,
+            'profile': 3
         };
 
         navLinks.forEach((link, index) => {
@@ -140,7 +142,8 @@ export class UIController {
             recipesSection,
             mealDetailsSection,
             productsSection,
-            foodlogSection
+            foodlogSection,
+            profileSection
         } = this.elements;
 
         // Hide all sections first
@@ -150,7 +153,8 @@ export class UIController {
             recipesSection,
             mealDetailsSection,
             productsSection,
-            foodlogSection
+            foodlogSection,
+            profileSection
         ];
 
         allSections.forEach(section => {
@@ -180,6 +184,11 @@ export class UIController {
                 if (foodlogSection) foodlogSection.style.display = '';
                 this.updateHeader('Daily Food Log', 'Track and monitor your daily nutrition intake');
                 break;
+
+            case 'profile':
+                if (profileSection) profileSection.style.display = '';
+                this.updateHeader('Your Profile', 'Personal details used to calculate your daily targets');
+                break;
         }
 
         this.setActiveNav(page);
@@ -190,8 +199,9 @@ export class UIController {
      * Show a toast notification
      * @param {string} message - The message to show
      * @param {string} type - The type (success, error, info)
+     * @param {object} action - Optional button, e.g. { label: 'Undo', onClick }; keeps the toast up longer
      */
-    showToast(message, type = 'success') {
+    showToast(message, type = 'success', action = null) {
         // Remove existing toast
         const existingToast = document.querySelector('.nutriplan-toast');
         if (existingToast) existingToast.remove();
@@ -213,17 +223,25 @@ export class UIController {
         toast.innerHTML = `
             <i class="fa-solid ${icons[type]} text-xl"></i>
             <span class="font-medium">${message}</span>
+            ${action ? `<button type="button" class="toast-action-btn ml-2 px-3 py-1 rounded-lg bg-white/20 hover:bg-white/30 font-semibold">${action.label}</button>` : ''}
         `;
 
+        if (action) {
+            toast.querySelector('.toast-action-btn').addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+        }
+
         document.body.appendChild(toast);
 
-        // Remove after 3 seconds
+        // Remove after 3 seconds (6 when there is an action to take)
         setTimeout(() => {
             toast.style.opacity = '0';
             toast.style.transform = 'translateY(20px)';
             toast.style.transition = 'all 0.3s ease';
             setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     /**
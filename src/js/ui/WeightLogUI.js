@@ -0,0 +1,170 @@
+/**
+ * WeightLogUI - Weigh-ins, trend chart and goal projection on the Profile page
+ */
+export class WeightLogUI {
+    constructor(weightLog, profile, uiController) {
+        this.weightLog = weightLog;
+        this.profile = profile;
+        this.uiController = uiController;
+        // Called after a weigh-in changes the profile weight
+        this.onProfileChange = null;
+        this.elements = {
+            weighInForm: document.getElementById('weigh-in-form'),
+            goalForm: document.getElementById('weight-goal-form'),
+            summary: document.getElementById('weight-summary'),
+            entries: document.getElementById('weight-entries'),
+            chart: document.getElementById('weight-chart')
+        };
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        this.elements.weighInForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleWeighIn();
+        });
+        this.elements.goalForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const goal = this.weightLog.setGoal(new FormData(this.elements.goalForm).get('goalKg'));
+            this.render();
+            this.uiController.showToast(goal ? `Goal weight set to ${goal} kg` : 'Goal weight cleared', 'success');
+        });
+    }
+
+    async render() {
+        const { weighInForm, goalForm } = this.elements;
+        if (weighInForm && !weighInForm.elements.dateKey.value) weighInForm.elements.dateKey.value = this.weightLog.foodLog.getDateKey();
+        if (goalForm) goalForm.elements.goalKg.value = this.weightLog.getGoal() ?? '';
+        const trend = this.weightLog.getTrend();
+        const projection = await this.weightLog.getProjection();
+        this.renderSummary(trend, projection);
+        this.renderEntries(trend);
+        this.renderChart(trend, projection);
+    }
+
+    handleWeighIn() {
+        const { dateKey, kg } = Object.fromEntries(new FormData(this.elements.weighInForm));
+        const result = this.weightLog.addWeighIn(dateKey, kg);
+        if (!result) {
+            this.uiController.showToast(`Enter a weight between ${this.weightLog.minKg} and ${this.weightLog.maxKg} kg`, 'error');
+            return;
+        }
+        this.syncProfileWeight();
+        this.elements.weighInForm.elements.kg.value = '';
+        this.render();
+        const { entry, replaced } = result;
+        this.uiController.showToast(`${entry.kg} kg logged`, 'success', {
+            label: 'Undo',
+            onClick: () => {
+                this.weightLog.remove(entry.id);
+                if (replaced) this.weightLog.restore(replaced);
+                this.syncProfileWeight();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Keep the profile weight at the latest weigh-in so targets follow it
+     */
+    syncProfileWeight() {
+        const entries = this.weightLog.getEntries();
+        const latest = entries[entries.length - 1];
+        if (!latest || latest.kg === this.profile.data.weightKg) return;
+        this.profile.save({ weightKg: latest.kg });
+        if (this.onProfileChange) this.onProfileChange();
+    }
+
+    /**
+     * Latest weigh-in, trend and goal projection
+     * @param {array} trend - Weigh-ins with trend
+     * @param {object} projection - From WeightLog.getProjection
+     */
+    renderSummary(trend, projection) {
+        const { summary } = this.elements;
+        if (!summary) return;
+        const latest = trend[trend.length - 1];
+        const rows = [
+            { label: 'Latest weigh-in', value: latest ? `${latest.kg} kg` : '-', cls: 'text-gray-900' },
+            { label: 'Trend', value: latest ? `${latest.trend.toFixed(1)} kg` : '-', cls: 'text-emerald-600' },
+            { label: 'Goal', value: projection.goalKg ? `${projection.goalKg} kg` : '-', cls: 'text-indigo-600' }
+        ];
+        if (projection.kgPerWeek !== null) {
+            rows.push({ label: 'Average calorie balance', value: `${projection.balance > 0 ? '+' : ''}${projection.balance} kcal/day`, cls: 'text-gray-900' });
+            rows.push({ label: 'Expected change', value: `${projection.kgPerWeek > 0 ? '+' : ''}${projection.kgPerWeek} kg/week`, cls: 'text-gray-900' });
+        }
+        summary.innerHTML = rows.map(r => `<div class="flex justify-between py-2 border-b border-gray-100">
+            <span class="text-sm text-gray-500">${r.label}</span><span class="font-bold ${r.cls}">${r.value}</span></div>`).join('') +
+            `<p class="text-sm text-gray-600 mt-3">${this.describeProjection(projection)}</p>`;
+    }
+
+    /**
+     * One sentence about reaching the goal
+     * @param {object} projection - From WeightLog.getProjection
+     */
+    describeProjection(projection) {
+        switch (projection.status) {
+            case 'no-goal': return 'Set a goal weight to see when you could reach it.';
+            case 'no-weight': return 'Log a weigh-in to start your trend.';
+            case 'reached': return '<i class="fa-solid fa-trophy text-amber-500 mr-1"></i>Your trend is at your goal weight.';
+            case 'no-balance': return 'Complete your profile and log food this week to project a goal date.';
+            case 'away': return `<i class="fa-solid fa-triangle-exclamation text-orange-500 mr-1"></i>At this week's calorie balance your weight moves away from the goal.`;
+            default: {
+                const date = this.weightLog.foodLog.formatDate(this.weightLog.foodLog.parseDateKey(projection.dateKey));
+                return `<i class="fa-solid fa-flag-checkered text-emerald-600 mr-1"></i>At this week's calorie balance you reach ${projection.goalKg} kg around <span class="font-semibold">${date}</span> (${projection.days} days).`;
+            }
+        }
+    }
+
+    /**
+     * Most recent weigh-ins with delete buttons
+     * @param {array} trend - Weigh-ins with trend
+     */
+    renderEntries(trend) {
+        const { entries } = this.elements;
+        if (!entries) return;
+        entries.innerHTML = trend.slice(-5).reverse().map(e => `<div class="flex items-center justify-between text-sm">
+            <span class="text-gray-500">${e.dateKey}</span><span class="font-semibold text-gray-900">${e.kg} kg</span>
+            <button class="remove-weigh-in-btn text-gray-300 hover:text-red-500" data-entry-id="${e.id}" aria-label="Delete weigh-in"><i class="fa-solid fa-xmark"></i></button></div>`).join('');
+        entries.querySelectorAll('.remove-weigh-in-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const removed = this.weightLog.remove(btn.dataset.entryId);
+                if (!removed) return;
+                this.syncProfileWeight();
+                this.render();
+                this.uiController.showToast('Weigh-in deleted', 'info', {
+                    label: 'Undo',
+                    onClick: () => { this.weightLog.restore(removed); this.syncProfileWeight(); this.render(); }
+                });
+            });
+        });
+    }
+
+    /**
+     * Weigh-ins, trend line, goal line and projection
+     * @param {array} trend - Weigh-ins with trend
+     * @param {object} projection - From WeightLog.getProjection
+     */
+    renderChart(trend, projection) {
+        const container = this.elements.chart;
+        if (!container || typeof Plotly === 'undefined') return;
+        if (trend.length === 0) {
+            container.innerHTML = '<p class="text-center text-gray-400 py-24">No weigh-ins yet</p>';
+            return;
+        }
+        const x = trend.map(e => e.dateKey);
+        const traces = [
+            { x, y: trend.map(e => e.kg), name: 'Weigh-in', type: 'scatter', mode: 'markers', marker: { color: '#9ca3af', size: 6 } },
+            { x, y: trend.map(e => e.trend), name: 'Trend', type: 'scatter', mode: 'lines', line: { color: '#10b981', width: 3 } }
+        ];
+        if (projection.status === 'on-track') {
+            traces.push({ x: [x[x.length - 1], projection.dateKey], y: [projection.trendKg, projection.goalKg], name: 'Projection', type: 'scatter', mode: 'lines', line: { color: '#10b981', dash: 'dot' } });
+        }
+        const layout = { showlegend: false, margin: { t: 20, l: 50, r: 20, b: 40 }, paper_bgcolor: 'rgba(0,0,0,0)', plot_bgcolor: 'rgba(0,0,0,0)', yaxis: { ticksuffix: ' kg' } };
+        if (projection.goalKg) {
+            layout.shapes = [{ type: 'line', xref: 'paper', x0: 0, x1: 1, y0: projection.goalKg, y1: projection.goalKg, line: { color: '#6366f1', dash: 'dash', width: 1 } }];
+        }
+        container.innerHTML = '';
+        Plotly.newPlot(container, traces, layout, { responsive: true, displayModeBar: false });
+    }
+}
@@ -15,3 +15,13 @@
     <p class="text-gray-400 text-sm mt-2">Try searching for something else</p>
 </div>
 */
+
+// =========== HTML Escaping ============
+/**
+ * Escape text for use in HTML, including quoted attribute values
+ * @param {string} text - The text
+ */
+export function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+}